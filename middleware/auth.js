@@ -1,8 +1,25 @@
 // middleware/auth.js
-const jwt = require("jsonwebtoken");
+const TokenService = require("../services/tokenService");
+const Admin = require("../models/Admin");
+const TherapistAccountService = require("../services/therapistAccountService");
+const ServiceError = require("../services/serviceError");
 
-module.exports = (requiredRole) => {
-  return (req, res, next) => {
+// auth()                                   - any signed-in account
+// auth("therapist")                        - one role (never a suspended therapist)
+// auth(["user", "therapist"])              - any of several roles
+// auth("admin", { permissions })           - an active admin holding every listed permission
+// auth("therapist", { therapistStatuses }) - a therapist in one of these statuses
+module.exports = (
+  requiredRoles,
+  {
+    permissions = [],
+    therapistStatuses = TherapistAccountService.ACTIVE_STATUSES,
+  } = {}
+) => {
+  const roles = [].concat(requiredRoles || []);
+
+  return async (req, res, next) => {
+    let decoded;
     try {
       const token = req.header("Authorization")?.replace("Bearer ", "");
 
@@ -10,20 +27,61 @@ module.exports = (requiredRole) => {
         return res.status(401).json({ error: "No token provided" });
       }
 
-      const decoded = jwt.verify(
-        token,
-        process.env.JWT_SECRET || "your-secret-key"
-      );
+      decoded = TokenService.verifyAccessToken(token);
+    } catch (error) {
+      // Lets clients tell "refresh and retry" apart from "log in again"
+      if (error.name === "TokenExpiredError") {
+        return res.status(401).json({ error: "Token expired", code: "TOKEN_EXPIRED" });
+      }
+      return res.status(401).json({ error: "Invalid token" });
+    }
+
+    if (roles.length && !roles.includes(decoded.role)) {
+      return res.status(403).json({ error: "Access denied" });
+    }
 
-      if (requiredRole && decoded.role !== requiredRole) {
-        return res.status(403).json({ error: "Access denied" });
+    req.userId = decoded.id;
+    req.userRole = decoded.role;
+    req.sessionId = decoded.sid;
+
+    // Admin permissions are read from the database on every request so a
+    // revoked permission or deactivated admin takes effect immediately
+    if (decoded.role === "admin") {
+      try {
+        const admin = await Admin.findById(decoded.id);
+        if (!admin || !admin.isActive) {
+          return res.status(401).json({ error: "Admin account is disabled" });
+        }
+        if (!admin.hasPermissions(permissions)) {
+          return res.status(403).json({ error: "Missing permission", required: permissions });
+        }
+        req.admin = admin;
+      } catch (error) {
+        console.error("Admin auth error:", error);
+        return res.status(500).json({ error: "Failed to authorize" });
       }
+    }
 
-      req.userId = decoded.id;
-      req.userRole = decoded.role;
-      next();
-    } catch (error) {
-      res.status(401).json({ error: "Invalid token" });
+    // Read like admin permissions, so a suspension or password change
+    // takes effect immediately
+    if (decoded.role === "therapist") {
+      try {
+        req.therapistStatus = await TherapistAccountService.assertAccess(
+          decoded.id,
+          decoded.iat,
+          therapistStatuses
+        );
+      } catch (error) {
+        if (error instanceof ServiceError) {
+          return res
+            .status(error.status)
+            .json({ error: error.message, ...error.details });
+        }
+        console.error("Therapist auth error:", error);
+        return res.status(500).json({ error: "Failed to authorize" });
+      }
     }
+
+    next();
   };
 };
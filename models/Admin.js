@@ -0,0 +1,91 @@
+// models/Admin.js - Platform operators with per-area permissions
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+
+// Each admin endpoint requires one of these; super admins hold all of them
+const PERMISSIONS = [
+  "calls:read",
+  "calls:manage",
+  "therapists:manage",
+  "payouts:manage",
+  "disputes:manage",
+  "pricing:manage",
+  "promos:manage",
+  "admins:manage",
+];
+
+const adminSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  password: {
+    type: String,
+    required: true,
+  },
+  isSuperAdmin: {
+    type: Boolean,
+    default: false,
+  },
+  permissions: [
+    {
+      type: String,
+      enum: PERMISSIONS,
+    },
+  ],
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+adminSchema.pre("save", async function (next) {
+  this.updatedAt = new Date();
+  if (!this.isModified("password")) return next();
+  this.password = await bcrypt.hash(this.password, 10);
+  next();
+});
+
+adminSchema.methods.comparePassword = async function (password) {
+  return bcrypt.compare(password, this.password);
+};
+
+adminSchema.methods.hasPermissions = function (required = []) {
+  if (this.isSuperAdmin) return true;
+  return required.every((permission) => this.permissions.includes(permission));
+};
+
+adminSchema.methods.toPublicJSON = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    email: this.email,
+    isSuperAdmin: this.isSuperAdmin,
+    permissions: this.isSuperAdmin ? PERMISSIONS : this.permissions,
+    isActive: this.isActive,
+    lastLoginAt: this.lastLoginAt,
+  };
+};
+
+adminSchema.statics.PERMISSIONS = PERMISSIONS;
+
+module.exports = mongoose.model("Admin", adminSchema);
@@ -1,5 +1,18 @@
 // Enhanced models/CallLog.js - WebRTC support
 const mongoose = require("mongoose");
+const PricingService = require("../services/pricingService");
+const CallStateMachine = require("../services/callStateMachine");
+
+const TECHNICAL_ISSUES = [
+  "audio_issues",
+  "video_issues",
+  "connection_issues",
+  "app_crash",
+  "poor_quality",
+  "lag",
+  "echo",
+  "other",
+];
 
 const callLogSchema = new mongoose.Schema(
   {
@@ -33,6 +46,33 @@ const callLogSchema = new mongoose.Schema(
       type: Number,
       default: 0, // Duration in minutes for billing
     },
+    // When each ring-phase event happened, first occurrence wins
+    timeline: {
+      ringingAt: {
+        type: Date,
+        default: null, // Invitation delivered to the therapist
+      },
+      answeredAt: {
+        type: Date,
+        default: null,
+      },
+      rejectedAt: {
+        type: Date,
+        default: null,
+      },
+      timedOutAt: {
+        type: Date,
+        default: null, // Rang out without an answer
+      },
+      cancelledAt: {
+        type: Date,
+        default: null, // Caller gave up before an answer
+      },
+      responseTimeMs: {
+        type: Number,
+        default: null, // ringingAt -> answeredAt
+      },
+    },
     costInCoins: {
       type: Number,
       default: 0,
@@ -41,26 +81,120 @@ const callLogSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    platformCommissionCoins: {
+      type: Number,
+      default: 0,
+    },
     estimatedCost: {
       type: Number,
       default: 0, // Estimated cost per minute when call was initiated
     },
+    // Promo code attached at initiation; discount fields filled at settlement
+    promo: {
+      promoCodeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "PromoCode",
+        default: null,
+      },
+      code: {
+        type: String,
+        default: null,
+      },
+      discountType: {
+        type: String,
+        default: null,
+      },
+      discountValue: {
+        type: Number,
+        default: null,
+      },
+      maxDiscountCoins: {
+        type: Number,
+        default: null,
+      },
+      fundedBy: {
+        type: String,
+        enum: ["platform", "therapist"],
+        default: "platform",
+      },
+      discountCoins: {
+        type: Number,
+        default: 0,
+      },
+      grossCostInCoins: {
+        type: Number,
+        default: 0, // Cost before the discount
+      },
+      absorbedByTherapist: {
+        type: Number,
+        default: 0,
+      },
+      absorbedByPlatform: {
+        type: Number,
+        default: 0,
+      },
+      notAppliedReason: {
+        type: String,
+        default: null, // Set when the code was no longer valid at settlement
+      },
+    },
+    // Rate snapshot taken at initiation - the call is billed at this rate
+    // even if the plan changes mid-call
+    pricing: {
+      planId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "PricingPlan",
+        default: null,
+      },
+      costPerMinute: {
+        type: Number,
+        default: null,
+      },
+      commissionPercent: {
+        type: Number,
+        default: null,
+      },
+      minimumMinutes: {
+        type: Number,
+        default: null,
+      },
+    },
+    // Only change through CallLog.transition - see services/callStateMachine.js
     status: {
       type: String,
-      enum: [
-        "initiated",
-        "answered",
-        "ended_by_user",
-        "ended_by_therapist",
-        "rejected",
-        "missed",
-        "cancelled_by_user",
-        "cancelled_by_therapist",
-        "busy",
-        "offline",
-      ],
+      enum: Object.values(CallStateMachine.STATUSES),
       default: "initiated",
     },
+    statusHistory: [
+      {
+        _id: false,
+        from: {
+          type: String,
+          default: null, // null for the creating entry
+        },
+        to: {
+          type: String,
+          required: true,
+        },
+        at: {
+          type: Date,
+          required: true,
+        },
+        actorType: {
+          type: String,
+          enum: CallStateMachine.ACTOR_TYPES,
+          required: true,
+        },
+        actorId: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
+        reason: {
+          type: String,
+          default: null,
+        },
+      },
+    ],
     // WebRTC specific fields
     callId: {
       type: String,
@@ -101,18 +235,89 @@ const callLogSchema = new mongoose.Schema(
         type: Number,
         default: 0, // Number of disconnections during call
       },
+      reconnectionCount: {
+        type: Number,
+        default: 0, // Times a participant rejoined after dropping out
+      },
+      // Rolled up from CallQualitySample at call end, one entry per side
+      participants: [
+        {
+          _id: false,
+          participantType: {
+            type: String,
+            enum: ["user", "therapist"],
+            required: true,
+          },
+          platform: {
+            type: String,
+            default: "unknown",
+          },
+          appVersion: {
+            type: String,
+            default: null,
+          },
+          networkType: {
+            type: String,
+            default: "unknown", // As last reported
+          },
+          sampleCount: {
+            type: Number,
+            default: 0,
+          },
+          avgRttMs: Number,
+          maxRttMs: Number,
+          avgJitterMs: Number,
+          avgPacketLossPercent: Number,
+          maxPacketLossPercent: Number,
+          avgBitrateKbps: Number,
+          mos: Number, // Estimated mean opinion score, 1-5
+          networkQuality: {
+            type: String,
+            enum: ["excellent", "good", "fair", "poor", "unknown"],
+            default: "unknown",
+          },
+        },
+      ],
+      rolledUpAt: {
+        type: Date,
+        default: null,
+      },
     },
+    // TURN credentials handed out for this call (never the password itself)
+    turnCredentials: [
+      {
+        _id: false,
+        username: {
+          type: String,
+          required: true,
+        },
+        region: {
+          type: String,
+          required: true,
+        },
+        issuedToType: {
+          type: String,
+          enum: ["user", "therapist"],
+          required: true,
+        },
+        issuedToId: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        issuedAt: {
+          type: Date,
+          required: true,
+        },
+        expiresAt: {
+          type: Date,
+          required: true,
+        },
+      },
+    ],
     // End reasons and additional metadata
     endReason: {
       type: String,
-      enum: [
-        "ended",
-        "timeout",
-        "rejected",
-        "cancelled",
-        "network_error",
-        "unknown",
-      ],
+      enum: CallStateMachine.END_REASONS,
       default: "unknown",
     },
     rejectReason: {
@@ -150,6 +355,10 @@ const callLogSchema = new mongoose.Schema(
         type: Date,
         default: null,
       },
+      lastMeteredAt: {
+        type: Date,
+        default: null, // Last minute boundary the meter saw the call still answered
+      },
       refundAmount: {
         type: Number,
         default: 0,
@@ -162,6 +371,10 @@ const callLogSchema = new mongoose.Schema(
         type: Date,
         default: null,
       },
+      therapistClawbackCoins: {
+        type: Number,
+        default: 0, // Share of the refund taken back from therapist earnings
+      },
     },
     // User feedback and ratings
     feedback: {
@@ -190,16 +403,7 @@ const callLogSchema = new mongoose.Schema(
       technicalIssues: [
         {
           type: String,
-          enum: [
-            "audio_issues",
-            "video_issues",
-            "connection_issues",
-            "app_crash",
-            "poor_quality",
-            "lag",
-            "echo",
-            "other",
-          ],
+          enum: TECHNICAL_ISSUES,
         },
       ],
     },
@@ -249,6 +453,7 @@ callLogSchema.index({ endTime: -1 });
 callLogSchema.index({ userId: 1, status: 1, createdAt: -1 });
 callLogSchema.index({ therapistId: 1, status: 1, createdAt: -1 });
 callLogSchema.index({ callType: 1, status: 1, createdAt: -1 });
+callLogSchema.index({ therapistId: 1, "timeline.ringingAt": -1 });
 
 // Virtual properties
 callLogSchema.virtual("totalDurationSeconds").get(function () {
@@ -256,7 +461,7 @@ callLogSchema.virtual("totalDurationSeconds").get(function () {
 });
 
 callLogSchema.virtual("isCompleted").get(function () {
-  return ["ended_by_user", "ended_by_therapist"].includes(this.status);
+  return CallStateMachine.COMPLETED_STATUSES.includes(this.status);
 });
 
 callLogSchema.virtual("wasSuccessful").get(function () {
@@ -270,6 +475,7 @@ callLogSchema.virtual("callTypeDisplay").get(function () {
 callLogSchema.virtual("statusDisplay").get(function () {
   const statusMap = {
     initiated: "Calling...",
+    ringing: "Ringing...",
     answered: "In Progress",
     ended_by_user: "Completed",
     ended_by_therapist: "Completed",
@@ -279,29 +485,27 @@ callLogSchema.virtual("statusDisplay").get(function () {
     cancelled_by_therapist: "Cancelled",
     busy: "Busy",
     offline: "Offline",
+    failed: "Failed",
   };
   return statusMap[this.status] || "Unknown";
 });
 
 // Instance methods
-callLogSchema.methods.calculateCost = function (durationSeconds, callType) {
-  const CALL_PRICING = {
-    voice: { costPerMinute: 5, therapistEarningsPerMinute: 2.5 },
-    video: { costPerMinute: 8, therapistEarningsPerMinute: 4 },
-  };
-
-  const pricing = CALL_PRICING[callType] || CALL_PRICING.voice;
-  const durationMinutes = Math.max(1, Math.ceil(durationSeconds / 60));
-
+callLogSchema.methods.getRate = function () {
+  // Calls logged before rate snapshots existed fall back to the defaults
+  if (this.pricing && this.pricing.costPerMinute !== null) {
+    return this.pricing;
+  }
   return {
-    durationMinutes,
-    costInCoins: durationMinutes * pricing.costPerMinute,
-    therapistEarningsCoins: Math.floor(
-      durationMinutes * pricing.therapistEarningsPerMinute
-    ),
+    planId: null,
+    ...PricingService.DEFAULT_PRICING[this.callType],
   };
 };
 
+callLogSchema.methods.calculateCost = function (durationSeconds) {
+  return PricingService.calculateCost(durationSeconds, this.getRate());
+};
+
 callLogSchema.methods.updateCallQuality = function (qualityData) {
   this.callQuality = {
     ...this.callQuality,
@@ -310,6 +514,25 @@ callLogSchema.methods.updateCallQuality = function (qualityData) {
   return this.save();
 };
 
+// Stamp a ring-phase event (ringing | answered | rejected | timedOut | cancelled)
+// unless it was already recorded. Answering also stores the response time.
+callLogSchema.statics.recordTimeline = function (callId, event, at = new Date()) {
+  const field = `timeline.${event}At`;
+  const update = { [field]: at };
+
+  if (event === "answered") {
+    update["timeline.responseTimeMs"] = {
+      $cond: [
+        { $ifNull: ["$timeline.ringingAt", false] },
+        { $subtract: [at, "$timeline.ringingAt"] },
+        null,
+      ],
+    };
+  }
+
+  return this.updateOne({ callId, [field]: null }, [{ $set: update }]);
+};
+
 callLogSchema.methods.addFeedback = function (
   userType,
   rating,
@@ -333,21 +556,72 @@ callLogSchema.methods.addFeedback = function (
   return this.save();
 };
 
-callLogSchema.methods.processRefund = function (amount, reason) {
+callLogSchema.methods.processRefund = function (
+  amount,
+  reason,
+  therapistClawbackCoins = 0
+) {
+  if (this.billing.refundProcessedAt) {
+    return Promise.reject(new Error("Call has already been refunded"));
+  }
+
   this.billing.refundAmount = amount;
   this.billing.refundReason = reason;
   this.billing.refundProcessedAt = new Date();
+  this.billing.therapistClawbackCoins = therapistClawbackCoins;
   return this.save();
 };
 
 // Static methods
+callLogSchema.statics.TECHNICAL_ISSUES = TECHNICAL_ISSUES;
+
+// Move a call to a new status, recording who did it in statusHistory.
+// The update only applies while the call is still in `from` (read first
+// when not given) and matches options.filter, so concurrent writers can't
+// both win. Throws a 409 ServiceError for an illegal transition; returns
+// the updated call, or null if the call is missing or changed underneath us.
+//
+// options.set     - other fields to update alongside the status
+// options.actor   - { type, id } from CallStateMachine.actor
+// options.reason  - free-text note for the history entry
+callLogSchema.statics.transition = async function (callId, to, options = {}) {
+  const {
+    from: expectedFrom,
+    filter = {},
+    set = {},
+    actor,
+    reason = null,
+    session = null,
+  } = options;
+
+  let from = expectedFrom;
+  if (!from) {
+    const current = await this.findOne({ callId }).select("status").session(session);
+    if (!current) return null;
+    from = current.status;
+  }
+
+  CallStateMachine.assertTransition(from, to);
+
+  return this.findOneAndUpdate(
+    { ...filter, callId, status: from },
+    {
+      $set: { ...set, status: to },
+      $push: {
+        statusHistory: CallStateMachine.historyEntry(from, to, { actor, reason }),
+      },
+    },
+    { new: true, session }
+  );
+};
+
 callLogSchema.statics.findByCallId = function (callId) {
   return this.findOne({ callId });
 };
 
 callLogSchema.statics.getActiveCallsCount = function (userId, userType) {
   const query = {
-    status: { $in: ["initiated", "answered"] },
+    status: { $in: CallStateMachine.OPEN_STATUSES },
   };
 
   if (userType === "user") {
@@ -450,33 +724,64 @@ callLogSchema.statics.getTherapistStats = function (
   ]);
 };
 
-callLogSchema.statics.getCallQualityStats = function (timeframe = "week") {
-  const weekAgo = new Date();
-  weekAgo.setDate(weekAgo.getDate() - 7);
+// Quality of ended calls, per participant side, grouped by one of
+// QUALITY_GROUPS. Reads the rollups written at call end.
+const QUALITY_GROUPS = ["platform", "appVersion", "networkType", "networkQuality"];
+
+callLogSchema.statics.getCallQualityStats = function ({
+  from,
+  to,
+  groupBy = "networkQuality",
+  callType = null,
+}) {
+  const match = {
+    endTime: { $gte: from, $lte: to },
+    "callQuality.rolledUpAt": { $ne: null },
+  };
+  if (callType) {
+    match.callType = callType;
+  }
+
+  const rated = (quality) => ({
+    $sum: { $cond: [{ $eq: ["$callQuality.participants.networkQuality", quality] }, 1, 0] },
+  });
 
   return this.aggregate([
-    {
-      $match: {
-        createdAt: { $gte: weekAgo },
-        status: { $in: ["ended_by_user", "ended_by_therapist"] },
-      },
-    },
+    { $match: match },
+    { $unwind: "$callQuality.participants" },
     {
       $group: {
-        _id: "$callQuality.networkQuality",
-        count: { $sum: 1 },
-        avgAudioQuality: { $avg: "$callQuality.audioQuality" },
-        avgVideoQuality: { $avg: "$callQuality.videoQuality" },
-        avgConnectionTime: { $avg: "$callQuality.connectionTime" },
+        _id: `$callQuality.participants.${groupBy}`,
+        participants: { $sum: 1 },
+        calls: { $addToSet: "$_id" },
+        samples: { $sum: "$callQuality.participants.sampleCount" },
+        avgMos: { $avg: "$callQuality.participants.mos" },
+        avgRttMs: { $avg: "$callQuality.participants.avgRttMs" },
+        avgJitterMs: { $avg: "$callQuality.participants.avgJitterMs" },
+        avgPacketLossPercent: { $avg: "$callQuality.participants.avgPacketLossPercent" },
+        avgBitrateKbps: { $avg: "$callQuality.participants.avgBitrateKbps" },
+        avgDisconnections: { $avg: "$callQuality.disconnectionCount" },
+        excellent: rated("excellent"),
+        good: rated("good"),
+        fair: rated("fair"),
+        poor: rated("poor"),
       },
     },
+    { $addFields: { calls: { $size: "$calls" } } },
+    { $sort: { participants: -1 } },
   ]);
 };
 
+callLogSchema.statics.QUALITY_GROUPS = QUALITY_GROUPS;
+
 // Pre-save middleware to update timestamps
 callLogSchema.pre("save", function (next) {
   if (this.isNew) {
     this.createdAt = new Date();
+    // Routes pass the creating actor; fall back to system
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push(CallStateMachine.historyEntry(null, this.status));
+    }
   }
   this.updatedAt = new Date();
   next();
@@ -0,0 +1,78 @@
+// models/CallQualitySample.js - WebRTC getStats samples reported by clients during a call
+const mongoose = require("mongoose");
+
+const NETWORK_TYPES = ["wifi", "cellular", "ethernet", "other", "unknown"];
+
+const RETENTION_DAYS = parseInt(process.env.QUALITY_SAMPLE_RETENTION_DAYS || "30", 10);
+
+// Stored as a MongoDB time series keyed by call and participant. Samples
+// are rolled up into CallLog.callQuality when the call ends; the raw
+// series expires after RETENTION_DAYS.
+const callQualitySampleSchema = new mongoose.Schema(
+  {
+    at: {
+      type: Date,
+      required: true,
+    },
+    meta: {
+      callId: {
+        type: String,
+        required: true,
+      },
+      participantType: {
+        type: String,
+        enum: ["user", "therapist"],
+        required: true,
+      },
+      participantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+      platform: {
+        type: String,
+        enum: ["android", "ios", "web", "unknown"],
+        default: "unknown",
+      },
+      appVersion: {
+        type: String,
+        default: null,
+      },
+      networkType: {
+        type: String,
+        enum: NETWORK_TYPES,
+        default: "unknown",
+      },
+    },
+    rttMs: {
+      type: Number,
+      default: null,
+    },
+    jitterMs: {
+      type: Number,
+      default: null,
+    },
+    packetLossPercent: {
+      type: Number,
+      default: null,
+    },
+    bitrateKbps: {
+      type: Number,
+      default: null, // Outbound media bitrate
+    },
+  },
+  {
+    timeseries: {
+      timeField: "at",
+      metaField: "meta",
+      granularity: "seconds",
+    },
+    expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60,
+    versionKey: false,
+  }
+);
+
+callQualitySampleSchema.index({ "meta.callId": 1, at: 1 });
+
+callQualitySampleSchema.statics.NETWORK_TYPES = NETWORK_TYPES;
+
+module.exports = mongoose.model("CallQualitySample", callQualitySampleSchema);
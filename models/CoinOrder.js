@@ -0,0 +1,70 @@
+// models/CoinOrder.js - Coin pack purchase orders
+const mongoose = require("mongoose");
+
+const coinOrderSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    packId: {
+      type: String,
+      required: true,
+    },
+    coins: {
+      type: Number,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true, // Price in the currency's minor unit (e.g. paise, cents)
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    providerOrderId: {
+      type: String,
+      default: null,
+    },
+    providerPaymentId: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "paid", "failed", "cancelled"],
+      default: "pending",
+    },
+    failureReason: {
+      type: String,
+      default: null,
+    },
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+    coinTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CoinTransaction",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+coinOrderSchema.index({ userId: 1, createdAt: -1 });
+coinOrderSchema.index({ provider: 1, providerOrderId: 1 });
+coinOrderSchema.index(
+  { provider: 1, providerPaymentId: 1 },
+  { unique: true, partialFilterExpression: { providerPaymentId: { $type: "string" } } }
+);
+
+module.exports = mongoose.model("CoinOrder", coinOrderSchema);
@@ -0,0 +1,149 @@
+// models/CoinTransaction.js - Append-only coin ledger
+const mongoose = require("mongoose");
+
+const TRANSACTION_TYPES = [
+  "debit",
+  "credit",
+  "purchase",
+  "refund",
+  "bonus",
+  "payout",
+  "adjustment",
+];
+
+const coinTransactionSchema = new mongoose.Schema(
+  {
+    // Whose balance this entry moves (User.coinBalance or Therapist.totalEarningsCoins)
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "ownerType",
+      required: true,
+    },
+    ownerType: {
+      type: String,
+      enum: ["User", "Therapist"],
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: TRANSACTION_TYPES,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true, // Signed: negative for debits, positive for credits
+    },
+    balanceAfter: {
+      type: Number,
+      required: true, // Owner balance right after this entry was applied
+    },
+    callLogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CallLog",
+      default: null,
+    },
+    idempotencyKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      default: null,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+coinTransactionSchema.index({ ownerType: 1, ownerId: 1, createdAt: -1 });
+coinTransactionSchema.index({ callLogId: 1 });
+
+// Ledger entries are never modified or removed - corrections are new entries
+const blockMutation = function (next) {
+  next(new Error("Coin transactions are append-only"));
+};
+
+coinTransactionSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Coin transactions are append-only"));
+  }
+  next();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((hook) => coinTransactionSchema.pre(hook, blockMutation));
+
+// Static methods
+coinTransactionSchema.statics.getHistory = async function (
+  ownerType,
+  ownerId,
+  { page = 1, limit = 20, type } = {}
+) {
+  const query = { ownerType, ownerId };
+  if (type) {
+    query.type = type;
+  }
+
+  const [transactions, total] = await Promise.all([
+    this.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("callLogId", "callId callType durationMinutes startTime"),
+    this.countDocuments(query),
+  ]);
+
+  return {
+    transactions,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+coinTransactionSchema.statics.getLedgerBalance = async function (
+  ownerType,
+  ownerId
+) {
+  const result = await this.aggregate([
+    {
+      $match: {
+        ownerType,
+        ownerId: new mongoose.Types.ObjectId(ownerId),
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        balance: { $sum: "$amount" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return {
+    balance: result[0]?.balance || 0,
+    count: result[0]?.count || 0,
+  };
+};
+
+coinTransactionSchema.statics.TYPES = TRANSACTION_TYPES;
+
+module.exports = mongoose.model("CoinTransaction", coinTransactionSchema);
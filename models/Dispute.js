@@ -0,0 +1,100 @@
+// models/Dispute.js - User disputes on completed calls
+const mongoose = require("mongoose");
+const CallLog = require("./CallLog");
+
+const disputeSchema = new mongoose.Schema(
+  {
+    callLogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CallLog",
+      required: true,
+      unique: true, // One dispute per call
+    },
+    callId: {
+      type: String,
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    therapistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Therapist",
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+      maxlength: 1000,
+    },
+    technicalIssues: [
+      {
+        type: String,
+        enum: CallLog.TECHNICAL_ISSUES,
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["open", "refunded", "rejected"],
+      default: "open",
+    },
+    resolution: {
+      refundType: {
+        type: String,
+        enum: ["full", "partial"],
+        default: null,
+      },
+      refundAmount: {
+        type: Number,
+        default: 0,
+      },
+      therapistClawbackCoins: {
+        type: Number,
+        default: 0,
+      },
+      note: {
+        type: String,
+        default: null,
+        maxlength: 1000,
+      },
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+      },
+      resolvedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+disputeSchema.index({ userId: 1, createdAt: -1 });
+disputeSchema.index({ therapistId: 1, createdAt: -1 });
+disputeSchema.index({ status: 1, createdAt: 1 });
+
+// Map of callLogId -> dispute summary, for decorating call history lists
+disputeSchema.statics.summariesForCalls = async function (callLogIds) {
+  const disputes = await this.find({ callLogId: { $in: callLogIds } }).select(
+    "callLogId status resolution.refundAmount createdAt"
+  );
+
+  return new Map(
+    disputes.map((dispute) => [
+      dispute.callLogId.toString(),
+      {
+        id: dispute._id,
+        status: dispute.status,
+        refundAmount: dispute.resolution.refundAmount,
+        raisedAt: dispute.createdAt,
+      },
+    ])
+  );
+};
+
+module.exports = mongoose.model("Dispute", disputeSchema);
@@ -0,0 +1,40 @@
+// models/EmailToken.js - Single-use tokens sent in email links
+const mongoose = require("mongoose");
+
+const emailTokenSchema = new mongoose.Schema(
+  {
+    therapistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Therapist",
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["email_verification", "password_reset"],
+      required: true,
+    },
+    // SHA-256 of the token - the plain token only exists in the email
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+emailTokenSchema.index({ therapistId: 1, purpose: 1, usedAt: 1 });
+// Let MongoDB drop tokens a day after they expire
+emailTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model("EmailToken", emailTokenSchema);
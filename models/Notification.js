@@ -0,0 +1,79 @@
+// models/Notification.js - In-app notifications, with email as the delivery channel
+const mongoose = require("mongoose");
+
+const TYPES = ["missed_call"];
+
+const notificationSchema = new mongoose.Schema(
+  {
+    recipientType: {
+      type: String,
+      enum: ["User", "Therapist"],
+      required: true,
+    },
+    recipientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "recipientType",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: TYPES,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    body: {
+      type: String,
+      required: true,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    callLogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CallLog",
+      default: null,
+    },
+    email: {
+      status: {
+        type: String,
+        enum: ["pending", "sent", "failed", "skipped"],
+        default: "pending",
+      },
+      attempts: {
+        type: Number,
+        default: 0,
+      },
+      sentAt: {
+        type: Date,
+        default: null,
+      },
+      lastError: {
+        type: String,
+        default: null,
+      },
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ recipientId: 1, createdAt: -1 });
+notificationSchema.index({ "email.status": 1, createdAt: 1 });
+// One notification per call event, however many times it is queued
+notificationSchema.index(
+  { type: 1, callLogId: 1, recipientId: 1 },
+  { unique: true, partialFilterExpression: { callLogId: { $type: "objectId" } } }
+);
+
+notificationSchema.statics.TYPES = TYPES;
+
+module.exports = mongoose.model("Notification", notificationSchema);
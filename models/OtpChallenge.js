@@ -0,0 +1,38 @@
+// models/OtpChallenge.js - Pending phone OTP, one per phone number
+const mongoose = require("mongoose");
+
+const otpChallengeSchema = new mongoose.Schema(
+  {
+    phoneNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // HMAC of the code - the plain OTP is never stored
+    codeHash: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0, // Verify attempts claimed against the current code
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lastSentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("OtpChallenge", otpChallengeSchema);
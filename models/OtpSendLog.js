@@ -0,0 +1,23 @@
+// models/OtpSendLog.js - OTP send events for per-phone / per-IP rate limiting
+const mongoose = require("mongoose");
+
+const otpSendLogSchema = new mongoose.Schema({
+  phoneNumber: {
+    type: String,
+    required: true,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 24 * 60 * 60, // Only recent sends matter for limits
+  },
+});
+
+otpSendLogSchema.index({ phoneNumber: 1, createdAt: -1 });
+otpSendLogSchema.index({ ip: 1, createdAt: -1 });
+
+module.exports = mongoose.model("OtpSendLog", otpSendLogSchema);
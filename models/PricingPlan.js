@@ -0,0 +1,53 @@
+// models/PricingPlan.js - Per-minute call rates, global or per therapist
+const mongoose = require("mongoose");
+
+const pricingPlanSchema = new mongoose.Schema(
+  {
+    // null = platform default that applies to every therapist without their own plan
+    therapistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Therapist",
+      default: null,
+    },
+    callType: {
+      type: String,
+      enum: ["voice", "video"],
+      required: true,
+    },
+    costPerMinute: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    commissionPercent: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100, // Platform's cut; the therapist earns the rest
+    },
+    minimumMinutes: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    effectiveFrom: {
+      type: Date,
+      default: Date.now,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    notes: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+pricingPlanSchema.index({ therapistId: 1, callType: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model("PricingPlan", pricingPlanSchema);
@@ -0,0 +1,78 @@
+// models/PromoCode.js - Discount codes applied at call settlement
+const mongoose = require("mongoose");
+
+const promoCodeSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: null,
+    },
+    discountType: {
+      type: String,
+      enum: ["percent", "fixed_coins", "free_minutes"],
+      required: true,
+    },
+    discountValue: {
+      type: Number,
+      required: true,
+      min: 0, // Percent (0-100), coins, or minutes depending on discountType
+      validate: {
+        validator: function (value) {
+          return this.discountType !== "percent" || value <= 100;
+        },
+        message: "Percent discount cannot exceed 100",
+      },
+    },
+    maxDiscountCoins: {
+      type: Number,
+      default: null, // Cap for percent discounts
+    },
+    firstCallOnly: {
+      type: Boolean,
+      default: false,
+    },
+    maxRedemptions: {
+      type: Number,
+      default: null, // Global limit, null = unlimited
+    },
+    maxRedemptionsPerUser: {
+      type: Number,
+      default: 1,
+    },
+    redemptionCount: {
+      type: Number,
+      default: 0,
+    },
+    // Who pays for the discount: the platform (therapist earns on the full
+    // price) or the therapist (discount comes out of their earnings)
+    fundedBy: {
+      type: String,
+      enum: ["platform", "therapist"],
+      default: "platform",
+    },
+    validFrom: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("PromoCode", promoCodeSchema);
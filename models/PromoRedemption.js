@@ -0,0 +1,39 @@
+// models/PromoRedemption.js - One row per promo code use, for per-user limits and reporting
+const mongoose = require("mongoose");
+
+const promoRedemptionSchema = new mongoose.Schema(
+  {
+    promoCodeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PromoCode",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    callLogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CallLog",
+      required: true,
+      unique: true, // A call can redeem at most one code, once
+    },
+    discountCoins: {
+      type: Number,
+      required: true,
+    },
+    fundedBy: {
+      type: String,
+      enum: ["platform", "therapist"],
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+promoRedemptionSchema.index({ promoCodeId: 1, userId: 1 });
+
+module.exports = mongoose.model("PromoRedemption", promoRedemptionSchema);
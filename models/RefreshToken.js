@@ -0,0 +1,65 @@
+// models/RefreshToken.js - Rotating refresh tokens, one family per device login
+const mongoose = require("mongoose");
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    role: {
+      type: String,
+      required: true,
+    },
+    // Only the SHA-256 of the token is stored
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // All tokens rotated from the same login share a family; reuse of any
+    // rotated token revokes the whole family
+    familyId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    deviceId: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["rotated", "logout", "logout_all", "reuse_detected", "new_login"],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+refreshTokenSchema.index({ ownerId: 1, role: 1, revokedAt: 1 });
+// Let MongoDB drop tokens a while after they expire
+refreshTokenSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,63 @@
+// models/SmsMessage.js - Outbound SMS and their delivery status
+const mongoose = require("mongoose");
+
+const smsMessageSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: true,
+    },
+    purpose: {
+      type: String,
+      default: "general", // e.g. "otp"
+    },
+    // Body with any one-time code masked - codes are never persisted
+    body: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "sent", "delivered", "undelivered", "failed"],
+      default: "queued",
+    },
+    driver: {
+      type: String,
+      default: null, // Driver that accepted the message
+    },
+    providerMessageId: {
+      type: String,
+      default: null,
+    },
+    attempts: [
+      {
+        driver: String,
+        status: {
+          type: String,
+          enum: ["sent", "failed"],
+        },
+        error: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    errorMessage: {
+      type: String,
+      default: null,
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+smsMessageSchema.index({ driver: 1, providerMessageId: 1 });
+smsMessageSchema.index({ to: 1, createdAt: -1 });
+
+module.exports = mongoose.model("SmsMessage", smsMessageSchema);
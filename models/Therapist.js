@@ -1,7 +1,31 @@
 // models/Therapist.js - Remove fcmToken
+// Accounts move pending -> approved -> suspended (and back to approved) by
+// admin action; only approved therapists can go online or take calls.
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 
+// Directory filters match on these exact values
+const SPECIALIZATIONS = [
+  "anxiety",
+  "depression",
+  "stress",
+  "relationships",
+  "family",
+  "parenting",
+  "grief",
+  "trauma",
+  "addiction",
+  "self_esteem",
+  "anger_management",
+  "sleep",
+  "career",
+  "lgbtq",
+  "ocd",
+  "eating_disorders",
+];
+
+const GENDERS = ["female", "male", "non_binary", "other"];
+
 const therapistSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -11,19 +35,181 @@ const therapistSchema = new mongoose.Schema({
     type: String,
     required: true,
     unique: true,
+    lowercase: true,
+    trim: true,
   },
   password: {
     type: String,
     required: true,
   },
+  passwordChangedAt: {
+    type: Date,
+    default: null,
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "approved", "suspended"],
+    default: "pending",
+  },
+  statusReason: {
+    type: String,
+    default: null,
+  },
+  statusChangedAt: {
+    type: Date,
+    default: null,
+  },
+  statusChangedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    default: null,
+  },
+  // Licence/credential metadata; the documents themselves live in external storage
+  credentials: [
+    {
+      credentialType: {
+        type: String,
+        enum: ["license", "certification", "degree", "other"],
+        required: true,
+      },
+      title: {
+        type: String,
+        required: true,
+      },
+      issuingAuthority: {
+        type: String,
+        required: true,
+      },
+      licenseNumber: {
+        type: String,
+        default: null,
+      },
+      jurisdiction: {
+        type: String,
+        default: null,
+      },
+      issuedAt: {
+        type: Date,
+        default: null,
+      },
+      expiresAt: {
+        type: Date,
+        default: null,
+      },
+      documentUrl: {
+        type: String,
+        default: null,
+      },
+      uploadedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
   isAvailable: {
     type: Boolean,
     default: false,
   },
-  totalEarningsCoins: {
+  // Public profile shown in the user-facing directory
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+    default: "",
+  },
+  specializations: [
+    {
+      type: String,
+      enum: SPECIALIZATIONS,
+    },
+  ],
+  languages: [
+    {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: /^[a-z]{2,3}$/, // ISO 639 codes, e.g. "en", "hi"
+    },
+  ],
+  yearsOfExperience: {
     type: Number,
+    min: 0,
+    max: 70,
     default: 0,
   },
+  photoUrl: {
+    type: String,
+    default: null,
+  },
+  gender: {
+    type: String,
+    enum: GENDERS,
+    default: null,
+  },
+  qualifications: [
+    {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+  ],
+  // Running aggregates of user ratings, maintained by FeedbackService
+  ratingAverage: {
+    type: Number,
+    default: 0,
+  },
+  ratingCount: {
+    type: Number,
+    default: 0,
+  },
+  ratingSum: {
+    type: Number,
+    default: 0,
+  },
+  // Count of 1..5 star ratings at index 0..4
+  ratingDistribution: {
+    type: [Number],
+    default: [0, 0, 0, 0, 0],
+  },
+  totalEarningsCoins: {
+    type: Number,
+    default: 0, // Withdrawable balance - coins locked by withdrawals are already deducted
+  },
+  payoutDetails: {
+    method: {
+      type: String,
+      enum: ["bank_transfer", "upi"],
+      default: null,
+    },
+    accountHolderName: {
+      type: String,
+      default: null,
+    },
+    accountNumber: {
+      type: String,
+      default: null,
+    },
+    ifscCode: {
+      type: String,
+      default: null,
+    },
+    upiId: {
+      type: String,
+      default: null,
+    },
+    updatedAt: {
+      type: Date,
+      default: null,
+    },
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -34,9 +220,20 @@ const therapistSchema = new mongoose.Schema({
   },
 });
 
+therapistSchema.index({ status: 1, isAvailable: 1 });
+therapistSchema.index({ status: 1, specializations: 1 });
+therapistSchema.index({ status: 1, languages: 1 });
+therapistSchema.index(
+  { name: "text", bio: "text", specializations: "text", qualifications: "text" },
+  { weights: { name: 10, specializations: 5, qualifications: 3, bio: 1 } }
+);
+
 therapistSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
   this.password = await bcrypt.hash(this.password, 10);
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
   next();
 });
 
@@ -44,4 +241,11 @@ therapistSchema.methods.comparePassword = async function (password) {
   return bcrypt.compare(password, this.password);
 };
 
+therapistSchema.methods.isApproved = function () {
+  return this.status === "approved";
+};
+
+therapistSchema.statics.SPECIALIZATIONS = SPECIALIZATIONS;
+therapistSchema.statics.GENDERS = GENDERS;
+
 module.exports = mongoose.model("Therapist", therapistSchema);
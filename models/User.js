@@ -1,4 +1,4 @@
-// models/User.js - Remove fcmToken
+// models/User.js - Remove fcmToken; OTPs live in OtpChallenge
 const mongoose = require("mongoose");
 
 const userSchema = new mongoose.Schema({
@@ -7,17 +7,9 @@ const userSchema = new mongoose.Schema({
     required: true,
     unique: true,
   },
-  otp: {
-    type: String,
-    default: null,
-  },
-  otpExpiry: {
-    type: Date,
-    default: null,
-  },
   coinBalance: {
     type: Number,
-    default: 100,
+    default: 0, // Welcome coins are credited through the ledger on signup
   },
   createdAt: {
     type: Date,
@@ -0,0 +1,106 @@
+// models/Withdrawal.js - Therapist earnings withdrawal requests
+const mongoose = require("mongoose");
+
+const payoutDetailsSchema = new mongoose.Schema(
+  {
+    method: {
+      type: String,
+      enum: ["bank_transfer", "upi"],
+      required: true,
+    },
+    accountHolderName: {
+      type: String,
+      default: null,
+    },
+    accountNumber: {
+      type: String,
+      default: null,
+    },
+    ifscCode: {
+      type: String,
+      default: null,
+    },
+    upiId: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const withdrawalSchema = new mongoose.Schema(
+  {
+    therapistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Therapist",
+      required: true,
+    },
+    amountCoins: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "paid", "cancelled"],
+      default: "pending",
+    },
+    // Snapshot of where the money goes, taken when the request was made
+    payoutDetails: {
+      type: payoutDetailsSchema,
+      required: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    rejectionReason: {
+      type: String,
+      default: null,
+    },
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+    paymentReference: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+withdrawalSchema.index({ therapistId: 1, createdAt: -1 });
+withdrawalSchema.index({ status: 1, createdAt: 1 });
+
+// Statuses where the coins are locked but not yet paid out
+withdrawalSchema.statics.OPEN_STATUSES = ["pending", "approved"];
+
+withdrawalSchema.statics.getTotals = async function (therapistId) {
+  const result = await this.aggregate([
+    {
+      $match: {
+        therapistId: new mongoose.Types.ObjectId(therapistId),
+        status: { $in: ["pending", "approved", "paid"] },
+      },
+    },
+    { $group: { _id: "$status", total: { $sum: "$amountCoins" } } },
+  ]);
+
+  const totals = Object.fromEntries(result.map((item) => [item._id, item.total]));
+
+  return {
+    pending: (totals.pending || 0) + (totals.approved || 0),
+    paid: totals.paid || 0,
+  };
+};
+
+withdrawalSchema.statics.payoutDetailsSchema = payoutDetailsSchema;
+
+module.exports = mongoose.model("Withdrawal", withdrawalSchema);
@@ -0,0 +1,673 @@
+// routes/admin.js - Operational endpoints for platform admins
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Withdrawal = require("../models/Withdrawal");
+const Dispute = require("../models/Dispute");
+const PricingPlan = require("../models/PricingPlan");
+const PromoCode = require("../models/PromoCode");
+const PromoRedemption = require("../models/PromoRedemption");
+const Admin = require("../models/Admin");
+const Therapist = require("../models/Therapist");
+const CallLog = require("../models/CallLog");
+const PayoutService = require("../services/payoutService");
+const RefundService = require("../services/refundService");
+const PricingService = require("../services/pricingService");
+const ServiceError = require("../services/serviceError");
+const TokenService = require("../services/tokenService");
+const TherapistAccountService = require("../services/therapistAccountService");
+const CallMetricsService = require("../services/callMetricsService");
+const CallQualityService = require("../services/callQualityService");
+const auth = require("../middleware/auth");
+
+const adminAuth = (permission) => auth("admin", { permissions: [permission] });
+
+// A malformed id can't match anything; answer 404 instead of letting the
+// CastError surface as a 500
+const ID_PARAMS = {
+  withdrawalId: "Withdrawal not found",
+  disputeId: "Open dispute not found",
+  planId: "Pricing plan not found",
+  promoCodeId: "Promo code not found",
+  therapistId: "Therapist not found",
+  adminId: "Admin not found",
+};
+
+for (const [param, notFound] of Object.entries(ID_PARAMS)) {
+  router.param(param, (req, res, next, id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: notFound });
+    }
+    next();
+  });
+}
+
+// List withdrawal requests, oldest first so the queue is worked in order
+router.get("/withdrawals", adminAuth("payouts:manage"), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const withdrawals = await Withdrawal.find(filter)
+      .populate("therapistId", "name email")
+      .sort({ createdAt: 1 })
+      .limit(100);
+
+    res.json({ withdrawals });
+  } catch (error) {
+    console.error("Get withdrawals error:", error);
+    res.status(500).json({ error: "Failed to fetch withdrawals" });
+  }
+});
+
+// Approve a pending withdrawal
+router.post("/withdrawals/:withdrawalId/approve", adminAuth("payouts:manage"), async (req, res) => {
+  try {
+    const withdrawal = await PayoutService.approveWithdrawal(
+      req.userId,
+      req.params.withdrawalId
+    );
+
+    res.json({ success: true, withdrawal });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Approve withdrawal error:", error);
+    res.status(500).json({ error: "Failed to approve withdrawal" });
+  }
+});
+
+// Reject a withdrawal and release the locked coins
+router.post("/withdrawals/:withdrawalId/reject", adminAuth("payouts:manage"), async (req, res) => {
+  try {
+    const withdrawal = await PayoutService.rejectWithdrawal(
+      req.userId,
+      req.params.withdrawalId,
+      req.body.reason
+    );
+
+    res.json({ success: true, withdrawal });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Reject withdrawal error:", error);
+    res.status(500).json({ error: "Failed to reject withdrawal" });
+  }
+});
+
+// Record that an approved withdrawal has been paid out
+router.post("/withdrawals/:withdrawalId/mark-paid", adminAuth("payouts:manage"), async (req, res) => {
+  try {
+    const withdrawal = await PayoutService.markWithdrawalPaid(
+      req.userId,
+      req.params.withdrawalId,
+      req.body.paymentReference
+    );
+
+    res.json({ success: true, withdrawal });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Mark withdrawal paid error:", error);
+    res.status(500).json({ error: "Failed to mark withdrawal paid" });
+  }
+});
+
+// List disputes, oldest first
+router.get("/disputes", adminAuth("disputes:manage"), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const disputes = await Dispute.find(filter)
+      .populate("userId", "phoneNumber")
+      .populate("therapistId", "name email")
+      .populate(
+        "callLogId",
+        "callType durationMinutes costInCoins therapistEarningsCoins startTime"
+      )
+      .sort({ createdAt: 1 })
+      .limit(100);
+
+    res.json({ disputes });
+  } catch (error) {
+    console.error("Get disputes error:", error);
+    res.status(500).json({ error: "Failed to fetch disputes" });
+  }
+});
+
+// Grant a full (no amount) or partial refund on a dispute
+router.post("/disputes/:disputeId/refund", adminAuth("disputes:manage"), async (req, res) => {
+  try {
+    const { amount, note } = req.body;
+
+    const { dispute } = await RefundService.grantRefund(
+      req.userId,
+      req.params.disputeId,
+      { amount: amount === undefined ? undefined : Number(amount), note }
+    );
+
+    res.json({ success: true, dispute });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, ...error.details });
+    }
+    console.error("Refund dispute error:", error);
+    res.status(500).json({ error: "Failed to refund dispute" });
+  }
+});
+
+// Close a dispute without a refund
+router.post("/disputes/:disputeId/reject", adminAuth("disputes:manage"), async (req, res) => {
+  try {
+    const dispute = await RefundService.rejectDispute(
+      req.userId,
+      req.params.disputeId,
+      req.body.note
+    );
+
+    res.json({ success: true, dispute });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Reject dispute error:", error);
+    res.status(500).json({ error: "Failed to reject dispute" });
+  }
+});
+
+// Fields admins may set on a pricing plan
+const PRICING_PLAN_FIELDS = [
+  "therapistId",
+  "callType",
+  "costPerMinute",
+  "commissionPercent",
+  "minimumMinutes",
+  "effectiveFrom",
+  "isActive",
+  "notes",
+];
+
+const pickPricingPlanFields = (body) =>
+  Object.fromEntries(
+    PRICING_PLAN_FIELDS.filter((field) => body[field] !== undefined).map(
+      (field) => [field, body[field]]
+    )
+  );
+
+// List pricing plans, optionally for one therapist ("default" for platform plans)
+router.get("/pricing-plans", adminAuth("pricing:manage"), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.therapistId) {
+      if (
+        req.query.therapistId !== "default" &&
+        !mongoose.Types.ObjectId.isValid(req.query.therapistId)
+      ) {
+        return res.status(400).json({ error: "Invalid therapist ID" });
+      }
+      filter.therapistId =
+        req.query.therapistId === "default" ? null : req.query.therapistId;
+    }
+    if (req.query.callType) {
+      filter.callType = req.query.callType;
+    }
+
+    const plans = await PricingPlan.find(filter)
+      .populate("therapistId", "name email")
+      .sort({ therapistId: 1, callType: 1, effectiveFrom: -1 });
+
+    res.json({ plans, defaults: PricingService.DEFAULT_PRICING });
+  } catch (error) {
+    console.error("Get pricing plans error:", error);
+    res.status(500).json({ error: "Failed to fetch pricing plans" });
+  }
+});
+
+// Create a pricing plan (set effectiveFrom in the future to schedule a change)
+router.post("/pricing-plans", adminAuth("pricing:manage"), async (req, res) => {
+  try {
+    const plan = await PricingPlan.create(pickPricingPlanFields(req.body));
+
+    res.status(201).json({ success: true, plan });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Create pricing plan error:", error);
+    res.status(500).json({ error: "Failed to create pricing plan" });
+  }
+});
+
+// Update a pricing plan. Calls already placed keep their snapshot rate.
+router.put("/pricing-plans/:planId", adminAuth("pricing:manage"), async (req, res) => {
+  try {
+    const plan = await PricingPlan.findByIdAndUpdate(
+      req.params.planId,
+      pickPricingPlanFields(req.body),
+      { new: true, runValidators: true }
+    );
+
+    if (!plan) {
+      return res.status(404).json({ error: "Pricing plan not found" });
+    }
+
+    res.json({ success: true, plan });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Update pricing plan error:", error);
+    res.status(500).json({ error: "Failed to update pricing plan" });
+  }
+});
+
+// Deactivate a pricing plan
+router.delete("/pricing-plans/:planId", adminAuth("pricing:manage"), async (req, res) => {
+  try {
+    const plan = await PricingPlan.findByIdAndUpdate(
+      req.params.planId,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!plan) {
+      return res.status(404).json({ error: "Pricing plan not found" });
+    }
+
+    res.json({ success: true, plan });
+  } catch (error) {
+    console.error("Deactivate pricing plan error:", error);
+    res.status(500).json({ error: "Failed to deactivate pricing plan" });
+  }
+});
+
+// Preview the rate a therapist would be billed at right now
+router.get("/pricing-plans/effective/:therapistId", adminAuth("pricing:manage"), async (req, res) => {
+  try {
+    const rates = await PricingService.getRatesForTherapists([
+      req.params.therapistId,
+    ]);
+
+    res.json({ rates: rates[req.params.therapistId] });
+  } catch (error) {
+    console.error("Get effective rates error:", error);
+    res.status(500).json({ error: "Failed to fetch effective rates" });
+  }
+});
+
+// Fields admins may set on a promo code
+const PROMO_CODE_FIELDS = [
+  "code",
+  "description",
+  "discountType",
+  "discountValue",
+  "maxDiscountCoins",
+  "firstCallOnly",
+  "maxRedemptions",
+  "maxRedemptionsPerUser",
+  "fundedBy",
+  "validFrom",
+  "expiresAt",
+  "isActive",
+];
+
+const pickPromoCodeFields = (body) =>
+  Object.fromEntries(
+    PROMO_CODE_FIELDS.filter((field) => body[field] !== undefined).map(
+      (field) => [field, body[field]]
+    )
+  );
+
+// List promo codes
+router.get("/promo-codes", adminAuth("promos:manage"), async (req, res) => {
+  try {
+    const promoCodes = await PromoCode.find().sort({ createdAt: -1 });
+
+    res.json({ promoCodes });
+  } catch (error) {
+    console.error("Get promo codes error:", error);
+    res.status(500).json({ error: "Failed to fetch promo codes" });
+  }
+});
+
+// Create a promo code
+router.post("/promo-codes", adminAuth("promos:manage"), async (req, res) => {
+  try {
+    const promoCode = await PromoCode.create(pickPromoCodeFields(req.body));
+
+    res.status(201).json({ success: true, promoCode });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: "Promo code already exists" });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Create promo code error:", error);
+    res.status(500).json({ error: "Failed to create promo code" });
+  }
+});
+
+// Update a promo code (e.g. extend expiry or deactivate)
+router.put("/promo-codes/:promoCodeId", adminAuth("promos:manage"), async (req, res) => {
+  try {
+    const promoCode = await PromoCode.findByIdAndUpdate(
+      req.params.promoCodeId,
+      pickPromoCodeFields(req.body),
+      { new: true, runValidators: true }
+    );
+
+    if (!promoCode) {
+      return res.status(404).json({ error: "Promo code not found" });
+    }
+
+    res.json({ success: true, promoCode });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Update promo code error:", error);
+    res.status(500).json({ error: "Failed to update promo code" });
+  }
+});
+
+// Redemptions of a promo code, with who absorbed the discount
+router.get("/promo-codes/:promoCodeId/redemptions", adminAuth("promos:manage"), async (req, res) => {
+  try {
+    const redemptions = await PromoRedemption.find({
+      promoCodeId: req.params.promoCodeId,
+    })
+      .populate("userId", "phoneNumber")
+      .populate("callLogId", "callId callType durationMinutes promo")
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({ redemptions });
+  } catch (error) {
+    console.error("Get promo redemptions error:", error);
+    res.status(500).json({ error: "Failed to fetch promo redemptions" });
+  }
+});
+
+// List therapists for review, e.g. ?status=pending (oldest first)
+router.get("/therapists", adminAuth("therapists:manage"), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const therapists = await Therapist.find(filter)
+      .select("-password -payoutDetails")
+      .sort({ createdAt: 1 })
+      .limit(100);
+
+    res.json({ therapists });
+  } catch (error) {
+    console.error("Get therapists error:", error);
+    res.status(500).json({ error: "Failed to fetch therapists" });
+  }
+});
+
+// Compare therapists' answer latency and accept/reject/miss rates.
+// ?from=&to= (default last 30 days), optional ?therapistIds=a,b
+// ?sort=acceptRate|missRate|medianResponse (default acceptRate)
+router.get("/therapists/response-metrics", adminAuth("therapists:manage"), async (req, res) => {
+  try {
+    const range = CallMetricsService.parseRange(req.query);
+    const therapistIds = req.query.therapistIds
+      ? req.query.therapistIds.split(",").filter((id) => mongoose.Types.ObjectId.isValid(id))
+      : null;
+
+    const metrics = await CallMetricsService.getResponseMetrics({
+      ...range,
+      therapistIds,
+    });
+
+    const sorters = {
+      acceptRate: (a, b) => b.acceptRate - a.acceptRate,
+      missRate: (a, b) => b.missRate - a.missRate,
+      medianResponse: (a, b) =>
+        (a.responseTime.medianMs ?? Infinity) - (b.responseTime.medianMs ?? Infinity),
+    };
+    metrics.sort(sorters[req.query.sort] || sorters.acceptRate);
+
+    const therapists = await Therapist.find({
+      _id: { $in: metrics.map((item) => item.therapistId) },
+    }).select("name email");
+    const names = new Map(therapists.map((t) => [t._id.toString(), t]));
+
+    res.json({
+      range,
+      therapists: metrics.map((item) => ({
+        ...item,
+        name: names.get(item.therapistId.toString())?.name || null,
+        email: names.get(item.therapistId.toString())?.email || null,
+      })),
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Get response metrics error:", error);
+    res.status(500).json({ error: "Failed to fetch response metrics" });
+  }
+});
+
+router.get("/therapists/:therapistId", adminAuth("therapists:manage"), async (req, res) => {
+  try {
+    const therapist = await Therapist.findById(req.params.therapistId)
+      .select("-password")
+      .populate("statusChangedBy", "name email");
+
+    if (!therapist) {
+      return res.status(404).json({ error: "Therapist not found" });
+    }
+
+    res.json({ therapist });
+  } catch (error) {
+    console.error("Get therapist error:", error);
+    res.status(500).json({ error: "Failed to fetch therapist" });
+  }
+});
+
+// Move a therapist through pending -> approved -> suspended.
+// Body: { status: "approved" | "suspended", reason }
+router.post("/therapists/:therapistId/status", adminAuth("therapists:manage"), async (req, res) => {
+  try {
+    const therapist = await TherapistAccountService.setStatus(
+      req.userId,
+      req.params.therapistId,
+      req.body.status,
+      req.body.reason || null,
+      { signalingServer: req.app.get("signalingServer") }
+    );
+
+    res.json({ success: true, therapist });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Update therapist status error:", error);
+    res.status(500).json({ error: "Failed to update therapist status" });
+  }
+});
+
+// Call quality of ended calls, one row per group of participant sides.
+// ?groupBy=platform|appVersion|networkType|networkQuality (default
+// networkQuality), ?from=&to= (default last 30 days), optional ?callType=
+router.get("/call-quality", adminAuth("calls:read"), async (req, res) => {
+  try {
+    const range = CallMetricsService.parseRange(req.query);
+    const groupBy = req.query.groupBy || "networkQuality";
+    if (!CallLog.QUALITY_GROUPS.includes(groupBy)) {
+      return res.status(400).json({
+        error: "Invalid groupBy",
+        allowed: CallLog.QUALITY_GROUPS,
+      });
+    }
+    if (req.query.callType && !PricingService.isValidCallType(req.query.callType)) {
+      return res.status(400).json({ error: "Invalid call type" });
+    }
+
+    const groups = await CallLog.getCallQualityStats({
+      ...range,
+      groupBy,
+      callType: req.query.callType || null,
+    });
+
+    res.json({
+      range,
+      groupBy,
+      groups: groups.map(({ _id, ...stats }) => ({ [groupBy]: _id, ...stats })),
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Get call quality error:", error);
+    res.status(500).json({ error: "Failed to fetch call quality" });
+  }
+});
+
+// One call's quality rollup and its raw sample time series
+router.get("/call-quality/calls/:callId", adminAuth("calls:read"), async (req, res) => {
+  try {
+    const { callLog, samples } = await CallQualityService.getCallQuality(req.params.callId);
+
+    res.json({ call: callLog, samples });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Get call quality samples error:", error);
+    res.status(500).json({ error: "Failed to fetch call quality" });
+  }
+});
+
+// List admin accounts
+router.get("/admins", adminAuth("admins:manage"), async (req, res) => {
+  try {
+    const admins = await Admin.find().sort({ createdAt: 1 });
+
+    res.json({
+      admins: admins.map((admin) => admin.toPublicJSON()),
+      permissions: Admin.PERMISSIONS,
+    });
+  } catch (error) {
+    console.error("Get admins error:", error);
+    res.status(500).json({ error: "Failed to fetch admins" });
+  }
+});
+
+// Admins can only hand out permissions they hold themselves
+const checkGrantable = (caller, permissions) => {
+  if (permissions === undefined) return null;
+  if (!Array.isArray(permissions)) {
+    return { status: 400, error: "permissions must be an array" };
+  }
+  if (!caller.hasPermissions(permissions)) {
+    return { status: 403, error: "You can only grant permissions you hold" };
+  }
+  return null;
+};
+
+// Create an admin. Only super admins can create other super admins.
+router.post("/admins", adminAuth("admins:manage"), async (req, res) => {
+  try {
+    const { name, email, password, permissions, isSuperAdmin } = req.body;
+
+    if (isSuperAdmin && !req.admin.isSuperAdmin) {
+      return res.status(403).json({ error: "Only super admins can create super admins" });
+    }
+    const denied = checkGrantable(req.admin, permissions);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+    if (!password || password.length < 12) {
+      return res.status(400).json({ error: "Password must be at least 12 characters" });
+    }
+
+    const admin = await Admin.create({
+      name,
+      email,
+      password,
+      permissions: permissions || [],
+      isSuperAdmin: Boolean(isSuperAdmin),
+    });
+
+    res.status(201).json({ success: true, admin: admin.toPublicJSON() });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: "An admin with this email already exists" });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Create admin error:", error);
+    res.status(500).json({ error: "Failed to create admin" });
+  }
+});
+
+// Change an admin's permissions or deactivate them. Deactivation also
+// revokes their refresh tokens. Admins can't change their own permissions,
+// and only manage admins whose permissions they hold themselves.
+router.put("/admins/:adminId", adminAuth("admins:manage"), async (req, res) => {
+  try {
+    const { name, permissions, isActive, isSuperAdmin } = req.body;
+
+    const admin = await Admin.findById(req.params.adminId);
+    if (!admin) {
+      return res.status(404).json({ error: "Admin not found" });
+    }
+
+    if ((admin.isSuperAdmin || isSuperAdmin !== undefined) && !req.admin.isSuperAdmin) {
+      return res.status(403).json({ error: "Only super admins can change super admins" });
+    }
+    if (!req.admin.hasPermissions(admin.permissions)) {
+      return res.status(403).json({ error: "This admin has permissions you do not hold" });
+    }
+    if (admin._id.equals(req.admin._id)) {
+      if (permissions !== undefined || isSuperAdmin !== undefined) {
+        return res.status(403).json({ error: "You cannot change your own permissions" });
+      }
+      if (isActive === false) {
+        return res.status(400).json({ error: "You cannot deactivate yourself" });
+      }
+    }
+    const denied = checkGrantable(req.admin, permissions);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error });
+    }
+
+    if (name !== undefined) admin.name = name;
+    if (permissions !== undefined) admin.permissions = permissions;
+    if (isActive !== undefined) admin.isActive = Boolean(isActive);
+    if (isSuperAdmin !== undefined) admin.isSuperAdmin = Boolean(isSuperAdmin);
+    await admin.save();
+
+    if (!admin.isActive) {
+      await TokenService.revokeAll(admin._id, "admin");
+    }
+
+    res.json({ success: true, admin: admin.toPublicJSON() });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Update admin error:", error);
+    res.status(500).json({ error: "Failed to update admin" });
+  }
+});
+
+module.exports = router;
@@ -1,55 +1,75 @@
 // routes/auth.js - Simplified without FCM
 const express = require("express");
 const router = express.Router();
-const jwt = require("jsonwebtoken");
-const twilio = require("twilio");
+const mongoose = require("mongoose");
 const User = require("../models/User");
 const Therapist = require("../models/Therapist");
+const Admin = require("../models/Admin");
+const LedgerService = require("../services/ledgerService");
+const OtpService = require("../services/otpService");
+const SmsService = require("../services/sms");
+const TokenService = require("../services/tokenService");
+const TherapistAccountService = require("../services/therapistAccountService");
+const ServiceError = require("../services/serviceError");
+const auth = require("../middleware/auth");
 
-const twilioClient = twilio(
-  process.env.TWILIO_ACCOUNT_SID,
-  process.env.TWILIO_AUTH_TOKEN
-);
-
-// Generate JWT token
-const generateToken = (id, role) => {
-  return jwt.sign({ id, role }, process.env.JWT_SECRET || "your-secret-key", {
-    expiresIn: "30d",
+// Issue an access/refresh token pair for a fresh login on this device
+const generateTokens = (id, role, req) => {
+  return TokenService.issueTokens(id, role, {
+    deviceId: req.body.deviceId || null,
+    userAgent: req.header("User-Agent") || null,
   });
 };
 
-// Send OTP to user
-router.post("/send-otp", async (req, res) => {
+// Create the account and credit its welcome bonus in one transaction, so a
+// crash can't leave a new user without the bonus. If a concurrent login
+// for the same number created the account first, that user is returned.
+const createUser = async (phoneNumber) => {
+  const session = await mongoose.startSession();
   try {
-    const { phoneNumber } = req.body;
+    let userId;
+    await session.withTransaction(async () => {
+      const [user] = await User.create([{ phoneNumber }], { session });
+      await LedgerService.grantSignupBonus(user._id, session);
+      userId = user._id;
+    });
+    return User.findById(userId);
+  } catch (error) {
+    if (error.code === 11000) {
+      return User.findOne({ phoneNumber });
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
 
-    // Generate 6-digit OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const otpExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+// Send OTP to user. The response is the same whether or not the number
+// has an account; the account is only created once the OTP is verified.
+router.post("/send-otp", async (req, res) => {
+  try {
+    const phoneNumber = OtpService.normalizePhoneNumber(req.body.phoneNumber);
 
-    // Find or create user
-    let user = await User.findOne({ phoneNumber });
-    if (!user) {
-      user = new User({ phoneNumber });
+    if (!phoneNumber) {
+      return res.status(400).json({ error: "Invalid phone number" });
     }
 
-    user.otp = otp;
-    user.otpExpiry = otpExpiry;
-    await user.save();
+    const otp = await OtpService.issue(phoneNumber, req.ip);
 
-    // Send OTP via Twilio
-    if (process.env.NODE_ENV === "production") {
-      await twilioClient.messages.create({
-        body: `Your Therapist Connect OTP is: ${otp}`,
-        from: process.env.TWILIO_PHONE_NUMBER,
-        to: phoneNumber,
-      });
-    } else {
-      console.log(`OTP for ${phoneNumber}: ${otp}`);
-    }
+    // Delivered through the configured SMS driver chain (local sink in development)
+    await SmsService.sendOtp(phoneNumber, otp);
 
-    res.json({ success: true, message: "OTP sent successfully" });
+    res.json({
+      success: true,
+      message: "OTP sent successfully",
+      expiresInMinutes: OtpService.OTP_TTL_MINUTES,
+    });
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, ...error.details });
+    }
     console.error("Send OTP error:", error);
     res.status(500).json({ error: "Failed to send OTP" });
   }
@@ -58,31 +78,31 @@ router.post("/send-otp", async (req, res) => {
 // Verify OTP and login
 router.post("/verify-otp", async (req, res) => {
   try {
-    const { phoneNumber, otp } = req.body;
+    const { otp } = req.body;
+    const phoneNumber = OtpService.normalizePhoneNumber(req.body.phoneNumber);
 
-    const user = await User.findOne({ phoneNumber });
-    if (!user || !user.otp || !user.otpExpiry) {
-      return res.status(400).json({ error: "Invalid OTP request" });
-    }
+    await OtpService.verify(phoneNumber, otp);
 
-    if (user.otp !== otp) {
-      return res.status(400).json({ error: "Invalid OTP" });
+    // Find or create user. Accounts not yet moved to E.164 by
+    // scripts/migratePhoneNumbers.js are matched on the number as typed
+    // and normalized here.
+    let user = await User.findOne({ phoneNumber });
+    if (!user && typeof req.body.phoneNumber === "string") {
+      user = await User.findOneAndUpdate(
+        { phoneNumber: req.body.phoneNumber.trim() },
+        { phoneNumber, updatedAt: new Date() },
+        { new: true }
+      );
     }
-
-    if (new Date() > user.otpExpiry) {
-      return res.status(400).json({ error: "OTP expired" });
+    if (!user) {
+      user = await createUser(phoneNumber);
     }
 
-    // Clear OTP
-    user.otp = null;
-    user.otpExpiry = null;
-    await user.save();
-
-    const token = generateToken(user._id, "user");
+    const tokens = await generateTokens(user._id, "user", req);
 
     res.json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user._id,
         phoneNumber: user.phoneNumber,
@@ -90,17 +110,122 @@ router.post("/verify-otp", async (req, res) => {
       },
     });
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, ...error.details });
+    }
     console.error("Verify OTP error:", error);
     res.status(500).json({ error: "Failed to verify OTP" });
   }
 });
 
+// Therapist self-signup. The account starts pending and needs a verified
+// email plus admin approval before it can take calls.
+router.post("/therapist-signup", async (req, res) => {
+  try {
+    const { name, email, password } = req.body;
+
+    const therapist = await TherapistAccountService.register({
+      name,
+      email,
+      password,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Check your email to verify your account",
+      therapist: {
+        id: therapist._id,
+        name: therapist.name,
+        email: therapist.email,
+        status: therapist.status,
+        emailVerified: therapist.emailVerified,
+      },
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Therapist signup error:", error);
+    res.status(500).json({ error: "Failed to sign up" });
+  }
+});
+
+// Confirm a therapist's email from the link token
+router.post("/therapist-verify-email", async (req, res) => {
+  try {
+    const therapist = await TherapistAccountService.verifyEmail(req.body.token);
+
+    res.json({
+      success: true,
+      emailVerified: therapist.emailVerified,
+      status: therapist.status,
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Verify email error:", error);
+    res.status(500).json({ error: "Failed to verify email" });
+  }
+});
+
+// The response is the same whether or not the email has an account
+router.post("/therapist-resend-verification", async (req, res) => {
+  try {
+    await TherapistAccountService.resendEmailVerification(req.body.email);
+
+    res.json({
+      success: true,
+      message: "If the account exists and is unverified, a new link has been sent",
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({ error: "Failed to send verification email" });
+  }
+});
+
+// The response is the same whether or not the email has an account
+router.post("/therapist-forgot-password", async (req, res) => {
+  try {
+    await TherapistAccountService.requestPasswordReset(req.body.email);
+
+    res.json({
+      success: true,
+      message: "If the account exists, a reset link has been sent",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({ error: "Failed to send reset email" });
+  }
+});
+
+// Set a new password from the reset link token. Signs out every device.
+router.post("/therapist-reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    await TherapistAccountService.resetPassword(token, password);
+
+    res.json({ success: true, message: "Password has been reset" });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Reset password error:", error);
+    res.status(500).json({ error: "Failed to reset password" });
+  }
+});
+
 // Therapist login
 router.post("/therapist-login", async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    const therapist = await Therapist.findOne({ email });
+    const therapist = await Therapist.findOne({
+      email: String(email || "").trim().toLowerCase(),
+    });
     if (!therapist) {
       return res.status(401).json({ error: "Invalid credentials" });
     }
@@ -110,15 +235,24 @@ router.post("/therapist-login", async (req, res) => {
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
-    const token = generateToken(therapist._id, "therapist");
+    if (!therapist.emailVerified) {
+      return res.status(403).json({
+        error: "Please verify your email before logging in",
+        code: "EMAIL_NOT_VERIFIED",
+      });
+    }
+
+    const tokens = await generateTokens(therapist._id, "therapist", req);
 
     res.json({
       success: true,
-      token,
+      ...tokens,
       therapist: {
         id: therapist._id,
         name: therapist.name,
         email: therapist.email,
+        status: therapist.status,
+        statusReason: therapist.statusReason,
         isAvailable: therapist.isAvailable,
         totalEarningsCoins: therapist.totalEarningsCoins,
       },
@@ -129,4 +263,91 @@ router.post("/therapist-login", async (req, res) => {
   }
 });
 
+// Admin login
+router.post("/admin-login", async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const admin = await Admin.findOne({ email: String(email || "").toLowerCase() });
+    if (!admin || !admin.isActive) {
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    const isValidPassword = await admin.comparePassword(password);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    admin.lastLoginAt = new Date();
+    await admin.save();
+
+    const tokens = await generateTokens(admin._id, "admin", req);
+
+    res.json({
+      success: true,
+      ...tokens,
+      admin: admin.toPublicJSON(),
+    });
+  } catch (error) {
+    console.error("Admin login error:", error);
+    res.status(500).json({ error: "Failed to login" });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post("/refresh", async (req, res) => {
+  try {
+    const { tokens } = await TokenService.rotate(req.body.refreshToken, {
+      userAgent: req.header("User-Agent") || null,
+    });
+
+    res.json({ success: true, ...tokens });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Refresh token error:", error);
+    res.status(500).json({ error: "Failed to refresh token" });
+  }
+});
+
+// Log out this device
+router.post("/logout", auth(), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      await TokenService.revokeToken(refreshToken, {
+        ownerId: req.userId,
+        role: req.userRole,
+      });
+    } else if (req.sessionId) {
+      await TokenService.revokeFamily(req.sessionId, "logout");
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Logout error:", error);
+    res.status(500).json({ error: "Failed to logout" });
+  }
+});
+
+// Log out every device for this account
+router.post("/logout-all", auth(), async (req, res) => {
+  try {
+    const revokedSessions = await TokenService.revokeAll(
+      req.userId,
+      req.userRole
+    );
+
+    res.json({ success: true, revokedSessions });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({ error: "Failed to logout from all devices" });
+  }
+});
+
 module.exports = router;
@@ -1,46 +1,80 @@
+const crypto = require("crypto");
 const express = require("express");
 const router = express.Router();
+const mongoose = require("mongoose");
 const CallLog = require("../models/CallLog");
 const User = require("../models/User");
 const Therapist = require("../models/Therapist");
 const auth = require("../middleware/auth");
+const CallSettlementService = require("../services/callSettlementService");
+const PricingService = require("../services/pricingService");
+const PromoService = require("../services/promoService");
+const NotificationService = require("../services/notificationService");
+const CallQualityService = require("../services/callQualityService");
+const CallStateMachine = require("../services/callStateMachine");
+const ServiceError = require("../services/serviceError");
+const { getStore } = require("../services/signalingStore");
+
+const { CALL_TYPES } = PricingService;
+const { OPEN_STATUSES } = CallStateMachine;
+
+// Whether the signaling server still tracks a call, i.e. it may be live
+const isLiveCall = async (callId) => Boolean(await getStore().getCall(callId));
+
+// What the app shows the user about an attached promo code
+const describePromo = (promo) => ({
+  code: promo.code,
+  description: promo.description,
+  discountType: promo.discountType,
+  discountValue: promo.discountValue,
+  maxDiscountCoins: promo.maxDiscountCoins,
+  firstCallOnly: promo.firstCallOnly,
+});
 
-// Call types and pricing
-const CALL_TYPES = {
-  VOICE: "voice",
-  VIDEO: "video",
-};
+// Check a promo code before starting a call
+router.post("/promo/validate", auth("user"), async (req, res) => {
+  try {
+    const promo = await PromoService.validate(req.body.code, req.userId);
 
-const CALL_PRICING = {
-  [CALL_TYPES.VOICE]: {
-    costPerMinute: 5,
-    therapistEarningsPerMinute: 2.5,
-    minimumMinutes: 1,
-  },
-  [CALL_TYPES.VIDEO]: {
-    costPerMinute: 8,
-    therapistEarningsPerMinute: 4,
-    minimumMinutes: 1,
-  },
-};
+    res.json({ success: true, valid: true, promo: describePromo(promo) });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res
+        .status(error.status)
+        .json({ success: false, valid: false, error: error.message });
+    }
+    console.error("Validate promo error:", error);
+    res.status(500).json({ error: "Failed to validate promo code" });
+  }
+});
 
-// Helper function to calculate call costs
-const calculateCallCost = (duration, callType) => {
-  const durationMinutes = Math.max(1, Math.ceil(duration / 60));
-  const pricing = CALL_PRICING[callType] || CALL_PRICING[CALL_TYPES.VOICE];
-
-  return {
-    durationMinutes,
-    costInCoins: durationMinutes * pricing.costPerMinute,
-    therapistEarningsCoins: Math.floor(
-      durationMinutes * pricing.therapistEarningsPerMinute
-    ),
-  };
+// Call status webhooks are signed with an HMAC-SHA256 of the raw body
+// using CALL_WEBHOOK_SECRET. Without the secret every request is rejected.
+const CALL_WEBHOOK_SIGNATURE_HEADER = "x-call-webhook-signature";
+
+const verifyCallWebhookSignature = (rawBody, headers) => {
+  const secret = process.env.CALL_WEBHOOK_SECRET;
+  const signature = headers[CALL_WEBHOOK_SIGNATURE_HEADER];
+  if (!secret || !rawBody || !signature) return false;
+
+  const expected = Buffer.from(
+    crypto.createHmac("sha256", secret).update(rawBody).digest("hex")
+  );
+  const received = Buffer.from(String(signature));
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
 };
 
-// Webhook endpoint for WebRTC call events
+// Webhook endpoint for WebRTC call events - authenticated by signature, not JWT
 router.post("/webhook/call-status", async (req, res) => {
   try {
+    if (!verifyCallWebhookSignature(req.rawBody, req.headers)) {
+      console.log("Rejected call status webhook: bad signature");
+      return res.status(401).json({ error: "Invalid signature" });
+    }
+
     const { callID, status, duration, participants } = req.body;
 
     console.log("WebRTC webhook received:", {
@@ -58,47 +92,59 @@ router.post("/webhook/call-status", async (req, res) => {
       return res.status(200).json({ success: true });
     }
 
-    // Update call status based on webhook event
-    switch (status) {
-      case "call_started":
-        callLog.status = "answered";
-        callLog.actualStartTime = new Date();
-        break;
-
-      case "call_ended":
-        if (callLog.status === "answered" && duration > 0) {
-          const costData = calculateCallCost(duration, callLog.callType);
-
-          callLog.endTime = new Date();
-          callLog.actualDuration = duration;
-          callLog.durationMinutes = costData.durationMinutes;
-          callLog.costInCoins = costData.costInCoins;
-          callLog.therapistEarningsCoins = costData.therapistEarningsCoins;
-          callLog.status = "ended_by_user";
-
-          // Update balances
-          await User.findByIdAndUpdate(callLog.userId, {
-            $inc: { coinBalance: -costData.costInCoins },
-          });
-
-          await Therapist.findByIdAndUpdate(callLog.therapistId, {
-            $inc: { totalEarningsCoins: costData.therapistEarningsCoins },
-          });
-        } else {
-          callLog.status = "missed";
-        }
-        break;
+    // Settlement owns the CallLog update and balances for ended calls
+    if (status === "call_ended") {
+      const settlement = await CallSettlementService.settleCall(callID, {
+        endedBy: "user",
+        unansweredStatus: "missed",
+        unansweredEndReason: "timeout",
+      });
+      if (
+        settlement &&
+        !settlement.alreadySettled &&
+        settlement.callLog.status === "missed"
+      ) {
+        await NotificationService.queueMissedCall(settlement.callLog);
+      }
+      return res.status(200).json({ success: true });
+    }
 
-      case "call_rejected":
-        callLog.status = "rejected";
-        break;
+    // Update call status based on webhook event
+    const transitions = {
+      call_started: { to: "answered", set: { actualStartTime: new Date() } },
+      call_rejected: { to: "rejected", set: { endReason: "rejected", endTime: new Date() } },
+      call_timeout: { to: "missed", set: { endReason: "timeout", endTime: new Date() } },
+    };
+    const transition = transitions[status];
+    if (!transition) {
+      return res.status(200).json({ success: true });
+    }
 
-      case "call_timeout":
-        callLog.status = "missed";
-        break;
+    // Events can arrive late or out of order; ones that no longer apply
+    // to the call are acknowledged and dropped
+    let updated;
+    try {
+      updated = await CallLog.transition(callID, transition.to, {
+        from: callLog.status,
+        set: transition.set,
+        reason: `webhook:${status}`,
+      });
+    } catch (error) {
+      if (!(error instanceof ServiceError)) throw error;
+      console.log(`Ignoring webhook ${status} for call ${callID}: ${error.message}`);
     }
 
-    await callLog.save();
+    const timelineEvents = {
+      call_started: "answered",
+      call_rejected: "rejected",
+      call_timeout: "timedOut",
+    };
+    if (updated) {
+      await CallLog.recordTimeline(callID, timelineEvents[status]);
+      if (updated.status === "missed") {
+        await NotificationService.queueMissedCall(updated);
+      }
+    }
     res.status(200).json({ success: true });
   } catch (error) {
     console.error("Webhook error:", error);
@@ -112,13 +158,25 @@ router.post("/log-call", auth(), async (req, res) => {
     const { therapistId, callType = CALL_TYPES.VOICE, callId } = req.body;
     const userId = req.userId;
 
+    if (!PricingService.isValidCallType(callType)) {
+      return res.status(400).json({ error: "Invalid call type" });
+    }
+
     // Check user balance
     const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    const requiredCoins = CALL_PRICING[callType].costPerMinute;
+    const therapist = mongoose.Types.ObjectId.isValid(therapistId)
+      ? await Therapist.findById(therapistId)
+      : null;
+    if (!therapist || !therapist.isApproved()) {
+      return res.status(400).json({ error: "Therapist not available" });
+    }
+
+    const rate = await PricingService.getRate(therapistId, callType);
+    const requiredCoins = rate.costPerMinute * rate.minimumMinutes;
     if (user.coinBalance < requiredCoins) {
       return res.status(400).json({
         error: "Insufficient coin balance",
@@ -133,9 +191,15 @@ router.post("/log-call", auth(), async (req, res) => {
       therapistId,
       startTime: new Date(),
       status: "initiated",
+      statusHistory: [
+        CallStateMachine.historyEntry(null, "initiated", {
+          actor: CallStateMachine.actor(req.userRole, userId),
+        }),
+      ],
       callType,
       callId,
-      estimatedCost: CALL_PRICING[callType].costPerMinute,
+      estimatedCost: rate.costPerMinute,
+      pricing: rate,
     });
 
     await callLog.save();
@@ -157,7 +221,12 @@ router.post("/log-call", auth(), async (req, res) => {
 // Initiate call
 router.post("/initiate", auth("user"), async (req, res) => {
   try {
-    const { therapistId, callType = CALL_TYPES.VOICE, callId } = req.body;
+    const {
+      therapistId,
+      callType = CALL_TYPES.VOICE,
+      callId,
+      promoCode,
+    } = req.body;
     const userId = req.userId;
 
     console.log("Call initiation request:", {
@@ -177,8 +246,11 @@ router.post("/initiate", auth("user"), async (req, res) => {
       });
     }
 
+    if (!PricingService.isValidCallType(callType)) {
+      return res.status(400).json({ error: "Invalid call type" });
+    }
+
     // Validate ObjectId format
-    const mongoose = require('mongoose');
     if (!mongoose.Types.ObjectId.isValid(therapistId)) {
       console.log("Invalid therapistId format:", therapistId);
       return res.status(400).json({
@@ -192,7 +264,8 @@ router.post("/initiate", auth("user"), async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
 
-    const requiredCoins = CALL_PRICING[callType].costPerMinute;
+    const rate = await PricingService.getRate(therapistId, callType);
+    const requiredCoins = rate.costPerMinute * rate.minimumMinutes;
     if (user.coinBalance < requiredCoins) {
       return res.status(400).json({
         error: "Insufficient coin balance",
@@ -201,13 +274,27 @@ router.post("/initiate", auth("user"), async (req, res) => {
       });
     }
 
+    // Validate the promo code up front so the user hears about a bad code
+    // before the call rings; limits are re-checked at settlement
+    let promo = null;
+    if (promoCode) {
+      try {
+        promo = await PromoService.validate(promoCode, userId);
+      } catch (error) {
+        if (error instanceof ServiceError) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        throw error;
+      }
+    }
+
     // Check therapist availability
     const therapist = await Therapist.findById(therapistId);
     if (!therapist) {
       return res.status(404).json({ error: "Therapist not found" });
     }
 
-    if (!therapist.isAvailable) {
+    if (!therapist.isApproved() || !therapist.isAvailable) {
       return res.status(400).json({
         error: "Therapist not available",
       });
@@ -216,30 +303,23 @@ router.post("/initiate", auth("user"), async (req, res) => {
     // Auto-cleanup stuck calls older than 5 minutes
     const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
     
-    const cleanupResult = await CallLog.updateMany(
+    const cleanedCount = await CallSettlementService.closeAbandoned(
       {
-        $or: [
-          { userId, status: { $in: ["initiated", "answered"] } },
-          { therapistId, status: { $in: ["initiated", "answered"] } },
-        ],
+        $or: [{ userId }, { therapistId }],
         createdAt: { $lt: fiveMinutesAgo }
       },
-      {
-        status: "timeout_auto_cleanup",
-        endTime: new Date(),
-        endReason: "auto_cleanup_stuck_call"
-      }
+      { isLive: isLiveCall, endReason: "stale_cleanup" }
     );
     
-    if (cleanupResult.modifiedCount > 0) {
-      console.log(`Auto-cleanup: Cleaned up ${cleanupResult.modifiedCount} stuck calls`);
+    if (cleanedCount > 0) {
+      console.log(`Auto-cleanup: Cleaned up ${cleanedCount} stuck calls`);
     }
 
     // Check for existing active calls (after cleanup)
     const existingCall = await CallLog.findOne({
       $or: [
-        { userId, status: { $in: ["initiated", "answered"] } },
-        { therapistId, status: { $in: ["initiated", "answered"] } },
+        { userId, status: { $in: OPEN_STATUSES } },
+        { therapistId, status: { $in: OPEN_STATUSES } },
       ],
     });
 
@@ -259,9 +339,16 @@ router.post("/initiate", auth("user"), async (req, res) => {
       therapistId,
       startTime: new Date(),
       status: "initiated",
+      statusHistory: [
+        CallStateMachine.historyEntry(null, "initiated", {
+          actor: CallStateMachine.actor("user", userId),
+        }),
+      ],
       callType,
       callId,
-      estimatedCost: CALL_PRICING[callType].costPerMinute,
+      estimatedCost: rate.costPerMinute,
+      pricing: rate,
+      promo: promo ? PromoService.snapshot(promo) : undefined,
     });
 
     await callLog.save();
@@ -274,7 +361,9 @@ router.post("/initiate", auth("user"), async (req, res) => {
       callId,
       therapistName: therapist.name,
       callType,
-      estimatedCost: CALL_PRICING[callType].costPerMinute,
+      estimatedCost: rate.costPerMinute,
+      minimumMinutes: rate.minimumMinutes,
+      promo: promo ? describePromo(promo) : null,
     });
   } catch (error) {
     console.error("Initiate call error:", error);
@@ -286,62 +375,45 @@ router.post("/initiate", auth("user"), async (req, res) => {
 });
 
 // End call
-router.post("/end/:callId", auth(), async (req, res) => {
+router.post("/end/:callId", auth(["user", "therapist"]), async (req, res) => {
   try {
     const { callId } = req.params;
-    const { endedBy, duration } = req.body;
 
-    console.log(`Ending call ${callId}:`, { endedBy, duration });
+    // Only the two participants can end a call. The billed duration comes
+    // from server timestamps; any client-sent duration is ignored.
+    const participant = await CallLog.findOne({
+      callId,
+      $or: [{ userId: req.userId }, { therapistId: req.userId }],
+    }).select("_id");
+    if (!participant) {
+      return res.status(404).json({ error: "Call not found" });
+    }
+
+    const endedBy = req.userRole === "therapist" ? "therapist" : "user";
+    console.log(`Ending call ${callId} by ${endedBy}`);
 
-    const callLog = await CallLog.findOne({ callId: callId })
-      .populate("userId")
-      .populate("therapistId");
+    const settlement = await CallSettlementService.settleCall(callId, {
+      endedBy,
+      actor: CallStateMachine.actor(req.userRole, req.userId),
+      unansweredStatus: endedBy === "therapist" ? "cancelled_by_therapist" : "cancelled_by_user",
+    });
 
-    if (!callLog) {
+    if (!settlement) {
       return res.status(404).json({ error: "Call not found" });
     }
 
-    // Check if already ended
-    if (callLog.status.includes("ended")) {
+    const { callLog, costData, alreadySettled } = settlement;
+
+    // Repeat requests get the original settlement back
+    if (alreadySettled) {
       return res.json({
         success: true,
         callLog,
+        costData,
         message: "Call already ended",
       });
     }
 
-    // Calculate costs if call was answered
-    let costData = {
-      durationMinutes: 0,
-      costInCoins: 0,
-      therapistEarningsCoins: 0,
-    };
-
-    if (callLog.status === "answered" && duration > 0) {
-      costData = calculateCallCost(duration, callLog.callType);
-    }
-
-    // Update call log
-    await CallLog.findOneAndUpdate({ callId: callId }, {
-      endTime: new Date(),
-      actualDuration: duration || 0,
-      durationMinutes: costData.durationMinutes,
-      costInCoins: costData.costInCoins,
-      therapistEarningsCoins: costData.therapistEarningsCoins,
-      status: endedBy === "user" ? "ended_by_user" : "ended_by_therapist",
-    });
-
-    // Update balances if there was a cost
-    if (costData.costInCoins > 0) {
-      await User.findByIdAndUpdate(callLog.userId._id, {
-        $inc: { coinBalance: -costData.costInCoins },
-      });
-
-      await Therapist.findByIdAndUpdate(callLog.therapistId._id, {
-        $inc: { totalEarningsCoins: costData.therapistEarningsCoins },
-      });
-    }
-
     res.json({
       success: true,
       costData,
@@ -355,8 +427,34 @@ router.post("/end/:callId", auth(), async (req, res) => {
   }
 });
 
+// Report WebRTC getStats samples during an answered call. The socket
+// event quality-sample takes the same payload; use whichever the client
+// has open. Body: { samples: [{ timestamp, rttMs, jitterMs,
+// packetLossPercent, bitrateKbps, networkType }], platform, appVersion,
+// networkType }
+router.post("/:callId/quality", auth(["user", "therapist"]), async (req, res) => {
+  try {
+    const { samples, platform, appVersion, networkType } = req.body;
+
+    const stored = await CallQualityService.record(
+      req.params.callId,
+      { participantType: req.userRole, participantId: req.userId },
+      samples,
+      { platform, appVersion, networkType }
+    );
+
+    res.json({ success: true, stored });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Record call quality error:", error);
+    res.status(500).json({ error: "Failed to record call quality" });
+  }
+});
+
 // Cleanup stuck calls
-router.post("/cleanup-stuck-calls", auth(), async (req, res) => {
+router.post("/cleanup-stuck-calls", auth(["user", "therapist"]), async (req, res) => {
   try {
     const userId = req.userId;
     const userRole = req.userRole;
@@ -365,7 +463,7 @@ router.post("/cleanup-stuck-calls", auth(), async (req, res) => {
 
     // Find ALL active calls for this user (more aggressive - clean up all active calls)
     const query = {
-      status: { $in: ["initiated", "answered"] },
+      status: { $in: OPEN_STATUSES },
     };
 
     if (userRole === "user") {
@@ -392,19 +490,21 @@ router.post("/cleanup-stuck-calls", auth(), async (req, res) => {
       });
     }
 
-    // Update stuck calls to cancelled
-    const result = await CallLog.updateMany(query, {
-      status: "cancelled_by_user",
-      endTime: new Date(),
+    // Calls that never connected count as cancelled by whoever cleared them;
+    // a call still in progress has to be ended, not cleared
+    const cleanedCount = await CallSettlementService.closeAbandoned(query, {
+      isLive: isLiveCall,
+      actor: CallStateMachine.actor(userRole, userId),
       endReason: "cleanup",
+      unansweredStatus: `cancelled_by_${userRole}`,
     });
 
-    console.log(`Cleaned up ${result.modifiedCount} stuck calls`);
+    console.log(`Cleaned up ${cleanedCount} stuck calls`);
 
     res.json({
       success: true,
-      message: `Cleaned up ${result.modifiedCount} stuck calls`,
-      cleanedCount: result.modifiedCount,
+      message: `Cleaned up ${cleanedCount} stuck calls`,
+      cleanedCount,
     });
   } catch (error) {
     console.error("Cleanup error:", error);
@@ -416,13 +516,13 @@ router.post("/cleanup-stuck-calls", auth(), async (req, res) => {
 });
 
 // Force cleanup ALL stuck calls (admin endpoint)
-router.post("/force-cleanup-all", async (req, res) => {
+router.post("/force-cleanup-all", auth("admin", { permissions: ["calls:manage"] }), async (req, res) => {
   try {
-    console.log('Force cleanup all stuck calls requested');
+    console.log(`Force cleanup all stuck calls requested by admin ${req.userId}`);
 
     // Find all stuck calls
     const stuckCalls = await CallLog.find({
-      status: { $in: ["initiated", "answered"] }
+      status: { $in: OPEN_STATUSES }
     });
 
     console.log(`Found ${stuckCalls.length} stuck calls`);
@@ -435,22 +535,21 @@ router.post("/force-cleanup-all", async (req, res) => {
       });
     }
 
-    // Update all stuck calls
-    const result = await CallLog.updateMany(
-      { status: { $in: ["initiated", "answered"] } },
+    // Close all stuck calls
+    const cleanedCount = await CallSettlementService.closeWithoutCharge(
+      {},
       {
-        status: "cancelled_by_user",
-        endTime: new Date(),
-        endReason: "force_cleanup"
+        actor: CallStateMachine.actor("admin", req.userId),
+        endReason: "admin_cleanup"
       }
     );
 
-    console.log(`Force cleaned up ${result.modifiedCount} calls`);
+    console.log(`Force cleaned up ${cleanedCount} calls`);
 
     res.json({
       success: true,
-      message: `Force cleaned up ${result.modifiedCount} calls`,
-      cleanedCount: result.modifiedCount
+      message: `Force cleaned up ${cleanedCount} calls`,
+      cleanedCount
     });
   } catch (error) {
     console.error("Force cleanup error:", error);
@@ -461,14 +560,19 @@ router.post("/force-cleanup-all", async (req, res) => {
   }
 });
 
-// Get active calls for debugging
-router.get("/active-calls", auth(), async (req, res) => {
+// Get active calls for debugging - users and therapists see their own,
+// admins with calls:read see everyone's
+const activeCallsAuth = auth(["user", "therapist", "admin"], {
+  permissions: ["calls:read"],
+});
+
+router.get("/active-calls", activeCallsAuth, async (req, res) => {
   try {
     const userId = req.userId;
     const userRole = req.userRole;
 
     const query = {
-      status: { $in: ["initiated", "answered"] },
+      status: { $in: OPEN_STATUSES },
     };
 
     if (userRole === "user") {
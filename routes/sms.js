@@ -0,0 +1,36 @@
+// routes/sms.js - SMS provider delivery-status callbacks
+const express = require("express");
+const router = express.Router();
+const SmsService = require("../services/sms");
+
+// Twilio posts form-encoded callbacks
+router.use(express.urlencoded({ extended: false }));
+
+// Delivery status callback - authenticated by the driver, not JWT
+router.post("/status/:driver", async (req, res) => {
+  try {
+    let driver;
+    try {
+      driver = SmsService.getDriver(req.params.driver);
+    } catch (error) {
+      return res.status(404).json({ error: "Unknown SMS driver" });
+    }
+
+    if (!driver.verifyStatusCallback({ headers: req.headers, body: req.body })) {
+      console.log(`Rejected ${driver.name} SMS status callback: bad signature`);
+      return res.status(401).json({ error: "Invalid signature" });
+    }
+
+    const message = await SmsService.handleStatusCallback(driver.name, req.body);
+    if (!message) {
+      console.log(`SMS status callback for unknown message via ${driver.name}`);
+    }
+
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error("SMS status callback error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
@@ -4,10 +4,32 @@ const router = express.Router();
 const mongoose = require("mongoose");
 const Therapist = require("../models/Therapist");
 const CallLog = require("../models/CallLog");
+const CoinTransaction = require("../models/CoinTransaction");
+const Withdrawal = require("../models/Withdrawal");
+const Dispute = require("../models/Dispute");
+const PayoutService = require("../services/payoutService");
+const TherapistAccountService = require("../services/therapistAccountService");
+const ServiceError = require("../services/serviceError");
+const FeedbackService = require("../services/feedbackService");
+const CallMetricsService = require("../services/callMetricsService");
+const NotificationService = require("../services/notificationService");
 const auth = require("../middleware/auth");
 
+// Suspended therapists can still see their profile (and why they were
+// suspended); moving money needs an approved account
+const ALL_STATUSES = ["pending", "approved", "suspended"];
+const approvedTherapist = auth("therapist", { therapistStatuses: ["approved"] });
+
+// Malformed ids can't match anything; answer them before they reach a query
+router.param("withdrawalId", (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ error: "Withdrawal not found" });
+  }
+  next();
+});
+
 // Get therapist profile
-router.get("/profile", auth("therapist"), async (req, res) => {
+router.get("/profile", auth("therapist", { therapistStatuses: ALL_STATUSES }), async (req, res) => {
   try {
     const therapist = await Therapist.findById(req.userId).select("-password");
 
@@ -22,17 +44,69 @@ router.get("/profile", auth("therapist"), async (req, res) => {
   }
 });
 
+// Profile fields a therapist may edit; shown in the user directory
+const PROFILE_FIELDS = [
+  "name",
+  "bio",
+  "specializations",
+  "languages",
+  "yearsOfExperience",
+  "photoUrl",
+  "gender",
+  "qualifications",
+];
+
+// Update public profile
+router.put("/profile", auth("therapist"), async (req, res) => {
+  try {
+    const updates = Object.fromEntries(
+      PROFILE_FIELDS.filter((field) => req.body[field] !== undefined).map(
+        (field) => [field, req.body[field]]
+      )
+    );
+
+    const therapist = await Therapist.findByIdAndUpdate(
+      req.userId,
+      { ...updates, updatedAt: new Date() },
+      { new: true, runValidators: true }
+    ).select("-password");
+
+    if (!therapist) {
+      return res.status(404).json({ error: "Therapist not found" });
+    }
+
+    res.json({ therapist });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Update therapist profile error:", error);
+    res.status(500).json({ error: "Failed to update profile" });
+  }
+});
+
 // Update availability
 router.put("/availability", auth("therapist"), async (req, res) => {
   try {
     const { isAvailable } = req.body;
 
-    const therapist = await Therapist.findByIdAndUpdate(
-      req.userId,
-      { isAvailable, updatedAt: new Date() },
+    // Only approved therapists may go online; anyone may go offline
+    const therapist = await Therapist.findOneAndUpdate(
+      {
+        _id: req.userId,
+        ...(isAvailable && { status: "approved" }),
+      },
+      { isAvailable: Boolean(isAvailable), updatedAt: new Date() },
       { new: true }
     ).select("-password");
 
+    if (!therapist) {
+      return res.status(403).json({
+        error: "Your account must be approved before you can go online",
+        code: "THERAPIST_NOT_APPROVED",
+      });
+    }
+
     res.json({ therapist });
   } catch (error) {
     console.error("Update availability error:", error);
@@ -40,6 +114,132 @@ router.put("/availability", auth("therapist"), async (req, res) => {
   }
 });
 
+// Change password. Other devices are signed out.
+router.put("/password", auth("therapist"), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    await TherapistAccountService.changePassword(
+      req.userId,
+      currentPassword,
+      newPassword,
+      req.sessionId
+    );
+
+    res.json({ success: true, message: "Password changed" });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Change password error:", error);
+    res.status(500).json({ error: "Failed to change password" });
+  }
+});
+
+// Fields a therapist may set on a credential
+const CREDENTIAL_FIELDS = [
+  "credentialType",
+  "title",
+  "issuingAuthority",
+  "licenseNumber",
+  "jurisdiction",
+  "issuedAt",
+  "expiresAt",
+  "documentUrl",
+];
+
+// List licences and other credentials submitted for review
+router.get("/credentials", auth("therapist"), async (req, res) => {
+  try {
+    const therapist = await Therapist.findById(req.userId).select(
+      "credentials status"
+    );
+
+    res.json({
+      credentials: therapist?.credentials || [],
+      status: therapist?.status,
+    });
+  } catch (error) {
+    console.error("Get credentials error:", error);
+    res.status(500).json({ error: "Failed to fetch credentials" });
+  }
+});
+
+// Add credential metadata (the document itself is uploaded to storage first)
+router.post("/credentials", auth("therapist"), async (req, res) => {
+  try {
+    const fields = Object.fromEntries(
+      CREDENTIAL_FIELDS.filter((field) => req.body[field] !== undefined).map(
+        (field) => [field, req.body[field]]
+      )
+    );
+
+    const credential = await TherapistAccountService.addCredential(
+      req.userId,
+      fields
+    );
+
+    res.status(201).json({ success: true, credential });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Add credential error:", error);
+    res.status(500).json({ error: "Failed to add credential" });
+  }
+});
+
+router.delete("/credentials/:credentialId", auth("therapist"), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.credentialId)) {
+      return res.status(404).json({ error: "Credential not found" });
+    }
+
+    const credentials = await TherapistAccountService.removeCredential(
+      req.userId,
+      req.params.credentialId
+    );
+
+    res.json({ success: true, credentials });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Remove credential error:", error);
+    res.status(500).json({ error: "Failed to remove credential" });
+  }
+});
+
+// Rate the session after a completed call (once per call)
+router.post("/calls/:callId/feedback", auth("therapist"), async (req, res) => {
+  try {
+    const { rating, comment, technicalIssues = [] } = req.body;
+
+    const { callLog } = await FeedbackService.submit(
+      "therapist",
+      req.userId,
+      req.params.callId,
+      { rating, comment, technicalIssues }
+    );
+
+    res.status(201).json({ success: true, feedback: callLog.feedback });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, ...error.details });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Submit feedback error:", error);
+    res.status(500).json({ error: "Failed to submit feedback" });
+  }
+});
+
 // Get therapist call history
 router.get("/call-history", auth("therapist"), async (req, res) => {
   try {
@@ -53,7 +253,14 @@ router.get("/call-history", auth("therapist"), async (req, res) => {
       .sort({ startTime: -1 })
       .limit(100); // Limit to last 100 calls
 
-    res.json({ calls });
+    const disputes = await Dispute.summariesForCalls(calls.map((c) => c._id));
+
+    res.json({
+      calls: calls.map((call) => ({
+        ...call.toObject(),
+        dispute: disputes.get(call._id.toString()) || null,
+      })),
+    });
   } catch (error) {
     console.error("Get call history error:", error);
     res.status(500).json({ error: "Failed to fetch call history" });
@@ -215,14 +422,18 @@ router.get("/earnings", auth("therapist"), async (req, res) => {
       { $limit: 30 }, // Last 30 days
     ]);
 
-    // Calculate pending withdrawals (if you implement withdrawal system)
-    const pendingWithdrawals = 0; // Placeholder for future implementation
+    // Coins locked in open requests are already out of totalEarningsCoins
+    const withdrawalTotals = await Withdrawal.getTotals(therapistId);
+    const therapist = await Therapist.findById(therapistId).select(
+      "totalEarningsCoins"
+    );
 
     res.json({
       dailyBreakdown: earningsBreakdown,
-      pendingWithdrawals,
-      totalAvailable: (await Therapist.findById(therapistId))
-        .totalEarningsCoins,
+      pendingWithdrawals: withdrawalTotals.pending,
+      paidWithdrawals: withdrawalTotals.paid,
+      totalAvailable: therapist.totalEarningsCoins,
+      minimumWithdrawal: PayoutService.MIN_WITHDRAWAL_COINS,
     });
   } catch (error) {
     console.error("Get earnings error:", error);
@@ -230,14 +441,204 @@ router.get("/earnings", auth("therapist"), async (req, res) => {
   }
 });
 
-// Get performance metrics
+// Get disputes raised on this therapist's calls
+router.get("/disputes", auth("therapist"), async (req, res) => {
+  try {
+    const disputes = await Dispute.find({ therapistId: req.userId })
+      .select("-userId")
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({ disputes });
+  } catch (error) {
+    console.error("Get disputes error:", error);
+    res.status(500).json({ error: "Failed to fetch disputes" });
+  }
+});
+
+// Get notifications (missed calls, ...), newest first
+router.get("/notifications", auth("therapist"), async (req, res) => {
+  try {
+    const { notifications, unreadCount } = await NotificationService.list(
+      "Therapist",
+      req.userId,
+      {
+        limit: req.query.limit,
+        before: req.query.before,
+        unreadOnly: req.query.unread === "true",
+      }
+    );
+
+    res.json({ notifications, unreadCount });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Get notifications error:", error);
+    res.status(500).json({ error: "Failed to fetch notifications" });
+  }
+});
+
+// Mark every notification read
+router.post("/notifications/read-all", auth("therapist"), async (req, res) => {
+  try {
+    const updated = await NotificationService.markAllRead("Therapist", req.userId);
+
+    res.json({ success: true, updated });
+  } catch (error) {
+    console.error("Mark notifications read error:", error);
+    res.status(500).json({ error: "Failed to update notifications" });
+  }
+});
+
+// Mark one notification read
+router.post("/notifications/:notificationId/read", auth("therapist"), async (req, res) => {
+  try {
+    const notification = await NotificationService.markRead(
+      "Therapist",
+      req.userId,
+      req.params.notificationId
+    );
+
+    res.json({ success: true, notification });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Mark notification read error:", error);
+    res.status(500).json({ error: "Failed to update notification" });
+  }
+});
+
+// Get payout details
+router.get("/payout-details", approvedTherapist, async (req, res) => {
+  try {
+    const therapist = await Therapist.findById(req.userId).select(
+      "payoutDetails"
+    );
+
+    if (!therapist) {
+      return res.status(404).json({ error: "Therapist not found" });
+    }
+
+    res.json({
+      payoutDetails: therapist.payoutDetails,
+      isComplete: PayoutService.hasPayoutDetails(therapist.payoutDetails),
+    });
+  } catch (error) {
+    console.error("Get payout details error:", error);
+    res.status(500).json({ error: "Failed to fetch payout details" });
+  }
+});
+
+// Update payout details
+router.put("/payout-details", approvedTherapist, async (req, res) => {
+  try {
+    const { method, accountHolderName, accountNumber, ifscCode, upiId } =
+      req.body;
+
+    const payoutDetails = {
+      method,
+      accountHolderName: accountHolderName || null,
+      accountNumber: accountNumber || null,
+      ifscCode: ifscCode || null,
+      upiId: upiId || null,
+      updatedAt: new Date(),
+    };
+
+    if (!PayoutService.hasPayoutDetails(payoutDetails)) {
+      return res.status(400).json({
+        error:
+          "Provide a UPI ID, or account holder name, account number and IFSC code for bank transfer",
+      });
+    }
+
+    const therapist = await Therapist.findByIdAndUpdate(
+      req.userId,
+      { payoutDetails, updatedAt: new Date() },
+      { new: true, runValidators: true }
+    ).select("payoutDetails");
+
+    res.json({ payoutDetails: therapist.payoutDetails });
+  } catch (error) {
+    console.error("Update payout details error:", error);
+    res.status(500).json({ error: "Failed to update payout details" });
+  }
+});
+
+// Request a withdrawal
+router.post("/withdrawals", approvedTherapist, async (req, res) => {
+  try {
+    const amountCoins = Number(req.body.amountCoins);
+    const withdrawal = await PayoutService.requestWithdrawal(
+      req.userId,
+      amountCoins
+    );
+
+    res.status(201).json({ success: true, withdrawal });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, ...error.details });
+    }
+    console.error("Request withdrawal error:", error);
+    res.status(500).json({ error: "Failed to request withdrawal" });
+  }
+});
+
+// Get withdrawal history
+router.get("/withdrawals", auth("therapist"), async (req, res) => {
+  try {
+    const withdrawals = await Withdrawal.find({ therapistId: req.userId })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({ withdrawals });
+  } catch (error) {
+    console.error("Get withdrawals error:", error);
+    res.status(500).json({ error: "Failed to fetch withdrawals" });
+  }
+});
+
+// Cancel a pending withdrawal
+router.post("/withdrawals/:withdrawalId/cancel", auth("therapist"), async (req, res) => {
+  try {
+    const withdrawal = await PayoutService.cancelWithdrawal(
+      req.userId,
+      req.params.withdrawalId
+    );
+
+    res.json({ success: true, withdrawal });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Cancel withdrawal error:", error);
+    res.status(500).json({ error: "Failed to cancel withdrawal" });
+  }
+});
+
+// Get performance metrics for a date range (?from=&to=, default last 30 days)
 router.get("/performance", auth("therapist"), async (req, res) => {
   try {
     const therapistId = req.userId;
+    const range = CallMetricsService.parseRange(req.query);
 
-    // Calculate acceptance rate (answered vs total calls)
+    // Accept/reject/miss rates and answer latency over calls that actually rang
+    const responseMetrics = await CallMetricsService.getTherapistResponseMetrics(
+      therapistId,
+      range
+    );
+
+    // Status breakdown of every call attempt in the range
     const callCounts = await CallLog.aggregate([
-      { $match: { therapistId: new mongoose.Types.ObjectId(therapistId) } },
+      {
+        $match: {
+          therapistId: new mongoose.Types.ObjectId(therapistId),
+          createdAt: { $gte: range.from, $lte: range.to },
+        },
+      },
       {
         $group: {
           _id: "$status",
@@ -246,14 +647,9 @@ router.get("/performance", auth("therapist"), async (req, res) => {
       },
     ]);
 
-    const totalCalls = callCounts.reduce((sum, item) => sum + item.count, 0);
-    const answeredCalls =
-      callCounts.find((item) =>
-        ["ended_by_user", "ended_by_therapist"].includes(item._id)
-      )?.count || 0;
-
-    const acceptanceRate =
-      totalCalls > 0 ? Math.round((answeredCalls / totalCalls) * 100) : 0;
+    const completedCalls = callCounts
+      .filter((item) => ["ended_by_user", "ended_by_therapist"].includes(item._id))
+      .reduce((sum, item) => sum + item.count, 0);
 
     // Average session length
     const avgSessionResult = await CallLog.aggregate([
@@ -261,6 +657,7 @@ router.get("/performance", auth("therapist"), async (req, res) => {
         $match: {
           therapistId: new mongoose.Types.ObjectId(therapistId),
           status: { $in: ["ended_by_user", "ended_by_therapist"] },
+          createdAt: { $gte: range.from, $lte: range.to },
         },
       },
       {
@@ -273,24 +670,63 @@ router.get("/performance", auth("therapist"), async (req, res) => {
 
     const avgSessionLength = Math.round(avgSessionResult[0]?.avgDuration || 0);
 
-    // Rating (placeholder - implement when you add rating system)
-    const averageRating = 4.5; // Placeholder
-
-    // Response time (placeholder - implement when you track this)
-    const avgResponseTime = "< 30 seconds"; // Placeholder
+    // Running rating aggregates kept on the therapist by FeedbackService
+    const therapist = await Therapist.findById(therapistId).select(
+      "ratingAverage ratingCount ratingDistribution"
+    );
+    const rating = FeedbackService.summarize(therapist);
 
     res.json({
-      acceptanceRate,
+      range,
+      acceptanceRate: responseMetrics.acceptRate,
+      rejectRate: responseMetrics.rejectRate,
+      missRate: responseMetrics.missRate,
+      responseTime: responseMetrics.responseTime,
+      // Kept for older clients; seconds, null until a call has been answered
+      avgResponseTime:
+        responseMetrics.responseTime.meanMs === null
+          ? null
+          : Math.round(responseMetrics.responseTime.meanMs / 1000),
+      ringCounts: {
+        rang: responseMetrics.rang,
+        answered: responseMetrics.answered,
+        rejected: responseMetrics.rejected,
+        missed: responseMetrics.missed,
+        cancelled: responseMetrics.cancelled,
+      },
       avgSessionLength,
-      averageRating,
-      avgResponseTime,
-      totalSessions: answeredCalls,
+      averageRating: rating.average,
+      ratingCount: rating.count,
+      ratingDistribution: rating.distribution,
+      totalSessions: completedCalls,
       callBreakdown: callCounts,
     });
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error("Get performance error:", error);
     res.status(500).json({ error: "Failed to fetch performance metrics" });
   }
 });
 
+// Get earnings transaction history
+router.get("/transactions", auth("therapist"), async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const history = await CoinTransaction.getHistory(
+      "Therapist",
+      req.userId,
+      { page, limit, type: req.query.type }
+    );
+
+    res.json({ success: true, ...history });
+  } catch (error) {
+    console.error("Get transactions error:", error);
+    res.status(500).json({ error: "Failed to fetch transactions" });
+  }
+});
+
 module.exports = router;
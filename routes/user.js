@@ -4,22 +4,58 @@ const mongoose = require("mongoose");
 const User = require("../models/User");
 const Therapist = require("../models/Therapist");
 const CallLog = require("../models/CallLog");
+const CoinTransaction = require("../models/CoinTransaction");
+const Dispute = require("../models/Dispute");
+const RefundService = require("../services/refundService");
+const ServiceError = require("../services/serviceError");
+const FeedbackService = require("../services/feedbackService");
+const PricingService = require("../services/pricingService");
+const TherapistDirectoryService = require("../services/therapistDirectoryService");
 const auth = require("../middleware/auth");
 
-// Get available therapists
+// Therapist directory - see TherapistDirectoryService.search for the filters
 router.get("/therapists", auth("user"), async (req, res) => {
   try {
-    const therapists = await Therapist.find({ isAvailable: true }).select(
-      "name _id"
-    );
+    const result = await TherapistDirectoryService.search(req.query);
 
-    res.json({ therapists });
+    res.json(result);
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error("Get therapists error:", error);
     res.status(500).json({ error: "Failed to fetch therapists" });
   }
 });
 
+// Options for the directory filter UI
+router.get("/therapists/filters", auth("user"), (req, res) => {
+  res.json({
+    specializations: Therapist.SPECIALIZATIONS,
+    genders: Therapist.GENDERS,
+    callTypes: Object.values(PricingService.CALL_TYPES),
+    sorts: TherapistDirectoryService.SORT_OPTIONS,
+  });
+});
+
+// One therapist's public profile
+router.get("/therapists/:therapistId", auth("user"), async (req, res) => {
+  try {
+    const therapist = await TherapistDirectoryService.getProfile(
+      req.params.therapistId
+    );
+
+    if (!therapist) {
+      return res.status(404).json({ error: "Therapist not found" });
+    }
+
+    res.json({ therapist });
+  } catch (error) {
+    console.error("Get therapist profile error:", error);
+    res.status(500).json({ error: "Failed to fetch therapist" });
+  }
+});
+
 // Get user profile - ENHANCED with real-time data
 router.get("/profile", auth("user"), async (req, res) => {
   try {
@@ -60,6 +96,33 @@ router.get("/profile", auth("user"), async (req, res) => {
   }
 });
 
+// Rate the therapist after a completed call (once per call)
+router.post("/calls/:callId/feedback", auth("user"), async (req, res) => {
+  try {
+    const { rating, comment, technicalIssues = [] } = req.body;
+
+    const { callLog } = await FeedbackService.submit(
+      "user",
+      req.userId,
+      req.params.callId,
+      { rating, comment, technicalIssues }
+    );
+
+    res.status(201).json({ success: true, feedback: callLog.feedback });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, ...error.details });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Submit feedback error:", error);
+    res.status(500).json({ error: "Failed to submit feedback" });
+  }
+});
+
 // Get user call history - ENHANCED with better data
 router.get("/call-history", auth("user"), async (req, res) => {
   try {
@@ -73,7 +136,14 @@ router.get("/call-history", auth("user"), async (req, res) => {
       .sort({ startTime: -1 })
       .limit(50);
 
-    res.json({ calls });
+    const disputes = await Dispute.summariesForCalls(calls.map((c) => c._id));
+
+    res.json({
+      calls: calls.map((call) => ({
+        ...call.toObject(),
+        dispute: disputes.get(call._id.toString()) || null,
+      })),
+    });
   } catch (error) {
     console.error("Get call history error:", error);
     res.status(500).json({ error: "Failed to fetch call history" });
@@ -178,4 +248,77 @@ router.get("/balance", auth("user"), async (req, res) => {
   }
 });
 
+// Raise a dispute on a completed call
+router.post("/disputes", auth("user"), async (req, res) => {
+  try {
+    const { callId, reason, technicalIssues = [] } = req.body;
+
+    if (
+      typeof callId !== "string" ||
+      typeof reason !== "string" ||
+      !callId ||
+      !reason.trim()
+    ) {
+      return res.status(400).json({ error: "Call ID and reason are required" });
+    }
+
+    if (
+      !Array.isArray(technicalIssues) ||
+      technicalIssues.some((issue) => !CallLog.TECHNICAL_ISSUES.includes(issue))
+    ) {
+      return res.status(400).json({
+        error: "Invalid technical issues",
+        allowed: CallLog.TECHNICAL_ISSUES,
+      });
+    }
+
+    const dispute = await RefundService.raiseDispute(req.userId, callId, {
+      reason: reason.trim(),
+      technicalIssues,
+    });
+
+    res.status(201).json({ success: true, dispute });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Raise dispute error:", error);
+    res.status(500).json({ error: "Failed to raise dispute" });
+  }
+});
+
+// Get the user's disputes
+router.get("/disputes", auth("user"), async (req, res) => {
+  try {
+    const disputes = await Dispute.find({ userId: req.userId })
+      .populate("therapistId", "name")
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({ disputes });
+  } catch (error) {
+    console.error("Get disputes error:", error);
+    res.status(500).json({ error: "Failed to fetch disputes" });
+  }
+});
+
+// Get coin transaction history
+router.get("/transactions", auth("user"), async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const history = await CoinTransaction.getHistory("User", req.userId, {
+      page,
+      limit,
+      type: req.query.type,
+    });
+
+    res.json({ success: true, ...history });
+  } catch (error) {
+    console.error("Get transactions error:", error);
+    res.status(500).json({ error: "Failed to fetch transactions" });
+  }
+});
+
 module.exports = router;
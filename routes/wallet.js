@@ -0,0 +1,166 @@
+// routes/wallet.js - Coin pack purchases
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const CoinOrder = require("../models/CoinOrder");
+const WalletService = require("../services/walletService");
+const {
+  COIN_PACKS,
+  FAKE_PROVIDER_ENABLED,
+  getCoinPack,
+  getPaymentProvider,
+  isPaymentConfigured,
+} = require("../services/payments");
+const auth = require("../middleware/auth");
+
+// Malformed ids can't match anything; answer them before they reach a query
+router.param("orderId", (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(404).json({ error: "Order not found" });
+  }
+  next();
+});
+
+// List coin packs on sale
+router.get("/packs", auth("user"), (req, res) => {
+  res.json({ success: true, packs: COIN_PACKS });
+});
+
+// Create an order for a coin pack
+router.post("/purchase", auth("user"), async (req, res) => {
+  try {
+    const { packId } = req.body;
+
+    if (!isPaymentConfigured()) {
+      return res.status(503).json({ error: "Purchases are not available" });
+    }
+
+    if (!getCoinPack(packId)) {
+      return res.status(400).json({ error: "Invalid coin pack" });
+    }
+
+    const { order, checkout } = await WalletService.createPurchase(
+      req.userId,
+      packId
+    );
+
+    res.json({
+      success: true,
+      order: {
+        id: order._id,
+        packId: order.packId,
+        coins: order.coins,
+        amount: order.amount,
+        currency: order.currency,
+        status: order.status,
+        provider: order.provider,
+        providerOrderId: order.providerOrderId,
+      },
+      checkout,
+    });
+  } catch (error) {
+    console.error("Create purchase error:", error);
+    res.status(500).json({ error: "Failed to create purchase" });
+  }
+});
+
+// Get purchase history
+router.get("/orders", auth("user"), async (req, res) => {
+  try {
+    const filter = { userId: req.userId };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const orders = await CoinOrder.find(filter).sort({ createdAt: -1 }).limit(50);
+
+    res.json({ success: true, orders });
+  } catch (error) {
+    console.error("Get orders error:", error);
+    res.status(500).json({ error: "Failed to fetch orders" });
+  }
+});
+
+// Get a single order (for polling after checkout)
+router.get("/orders/:orderId", auth("user"), async (req, res) => {
+  try {
+    const order = await CoinOrder.findOne({
+      _id: req.params.orderId,
+      userId: req.userId,
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    res.json({ success: true, order });
+  } catch (error) {
+    console.error("Get order error:", error);
+    res.status(500).json({ error: "Failed to fetch order" });
+  }
+});
+
+// Payment provider webhook - authenticated by signature, not JWT
+router.post("/webhook/:provider", async (req, res) => {
+  try {
+    let provider;
+    try {
+      provider = getPaymentProvider(req.params.provider);
+    } catch (error) {
+      return res.status(404).json({ error: "Unknown payment provider" });
+    }
+
+    if (!provider.verifyWebhookSignature(req.rawBody, req.headers)) {
+      console.log(`Rejected ${provider.name} webhook: bad signature`);
+      return res.status(401).json({ error: "Invalid signature" });
+    }
+
+    const event = provider.parseWebhookEvent(req.body);
+    const result = await WalletService.handleWebhookEvent(provider.name, event);
+
+    if (!result.order) {
+      console.log("Order not found for webhook:", event.providerOrderId);
+    }
+
+    res.status(200).json({ success: true, duplicate: result.duplicate });
+  } catch (error) {
+    console.error("Payment webhook error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Development helper: complete an order through the fake provider's webhook
+if (FAKE_PROVIDER_ENABLED) {
+  router.post("/fake/complete/:orderId", auth("user"), async (req, res) => {
+    try {
+      const { status = "paid", failureReason } = req.body;
+      const order = await CoinOrder.findOne({
+        _id: req.params.orderId,
+        userId: req.userId,
+        provider: "fake",
+      });
+
+      if (!order) {
+        return res.status(404).json({ error: "Order not found" });
+      }
+
+      const provider = getPaymentProvider("fake");
+      const webhook = provider.buildWebhook(
+        order.providerOrderId,
+        status,
+        failureReason
+      );
+      const result = await WalletService.handleWebhookEvent(
+        provider.name,
+        provider.parseWebhookEvent(webhook.body)
+      );
+
+      res.json({ success: true, order: result.order, duplicate: result.duplicate });
+    } catch (error) {
+      console.error("Fake payment error:", error);
+      res.status(500).json({ error: "Failed to complete fake payment" });
+    }
+  });
+}
+
+module.exports = router;
@@ -0,0 +1,33 @@
+// routes/webrtc.js - ICE server configuration for WebRTC clients
+const express = require("express");
+const router = express.Router();
+const auth = require("../middleware/auth");
+const IceServerService = require("../services/iceServerService");
+const ServiceError = require("../services/serviceError");
+
+// STUN/TURN servers for a call, with a short-lived TURN credential.
+// Fetch after the call is initiated (callee: on incoming-call), pass
+// iceServers straight to RTCPeerConnection, and fetch again before an
+// ICE restart if expiresAt has passed.
+router.get("/ice-servers", auth(["user", "therapist"]), async (req, res) => {
+  try {
+    const ice = await IceServerService.issue(req.query.callId, {
+      userId: req.userId,
+      role: req.userRole,
+      regionId: req.query.region || null,
+    });
+
+    res.set("Cache-Control", "no-store");
+    res.json({ success: true, ...ice });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, ...error.details });
+    }
+    console.error("ICE servers error:", error);
+    res.status(500).json({ error: "Failed to issue ICE servers" });
+  }
+});
+
+module.exports = router;
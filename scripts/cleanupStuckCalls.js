@@ -2,6 +2,8 @@
 
 const mongoose = require('mongoose');
 const CallLog = require('../models/CallLog');
+const CallSettlementService = require('../services/callSettlementService');
+const { OPEN_STATUSES } = require('../services/callStateMachine');
 
 // Database connection
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/therapyconnect';
@@ -12,9 +14,9 @@ async function cleanupStuckCalls() {
     await mongoose.connect(MONGODB_URI);
     console.log('Connected to MongoDB');
 
-    // Find all stuck calls (initiated or answered status)
+    // Find all stuck calls (initiated, ringing or answered status)
     const stuckCalls = await CallLog.find({
-      status: { $in: ['initiated', 'answered'] }
+      status: { $in: OPEN_STATUSES }
     });
 
     console.log(`Found ${stuckCalls.length} stuck calls:`);
@@ -44,17 +46,12 @@ async function cleanupStuckCalls() {
 
     rl.question(`Do you want to clean up all ${stuckCalls.length} stuck calls? (y/N): `, async (answer) => {
       if (answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes') {
-        // Update all stuck calls to cancelled
-        const result = await CallLog.updateMany(
-          { status: { $in: ['initiated', 'answered'] } },
-          {
-            status: 'cancelled_by_user',
-            endTime: new Date(),
-            endReason: 'cleanup_script'
-          }
-        );
+        // Close all stuck calls as failed, without billing them
+        const cleanedCount = await CallSettlementService.closeWithoutCharge({}, {
+          endReason: 'admin_cleanup'
+        });
 
-        console.log(`Successfully cleaned up ${result.modifiedCount} calls`);
+        console.log(`Successfully cleaned up ${cleanedCount} calls`);
       } else {
         console.log('Cleanup cancelled');
       }
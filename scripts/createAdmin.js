@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+require('dotenv').config();
+
+// how to use - Run with: node scripts/createAdmin.js <email> <name> [permission...]
+// The password is read from ADMIN_PASSWORD. With no permissions listed the
+// admin is created as a super admin - use this to bootstrap the first account,
+// then manage the rest through /api/admin/admins.
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/therapist-connect';
+
+async function createAdmin() {
+  const [email, name, ...permissions] = process.argv.slice(2);
+  const password = process.env.ADMIN_PASSWORD;
+
+  if (!email || !name || !password) {
+    console.error('Usage: ADMIN_PASSWORD=... node scripts/createAdmin.js <email> <name> [permission...]');
+    console.error(`Permissions: ${Admin.PERMISSIONS.join(', ')}`);
+    process.exit(1);
+  }
+
+  const unknown = permissions.filter((permission) => !Admin.PERMISSIONS.includes(permission));
+  if (unknown.length) {
+    console.error(`Unknown permissions: ${unknown.join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const admin = await Admin.create({
+      email,
+      name,
+      password,
+      permissions,
+      isSuperAdmin: permissions.length === 0,
+    });
+
+    console.log(`Created admin ${admin.email} (${admin._id})`);
+    console.log(`   Super admin: ${admin.isSuperAdmin}`);
+    console.log(`   Permissions: ${admin.permissions.join(', ') || 'all'}`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+createAdmin();
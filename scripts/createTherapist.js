@@ -2,20 +2,38 @@ const mongoose = require("mongoose");
 const Therapist = require("../models/Therapist");
 require("dotenv").config();
 
-// how to use - Run with: node scripts/createTherapist.js
+// how to use - Run with:
+//   THERAPIST_PASSWORD=... node scripts/createTherapist.js <email> <name>
+// Creates an already verified and approved therapist, for seeding development
+// data. Real therapists sign up through /api/auth/therapist-signup.
 
 async function createTherapist() {
+  const [email, name] = process.argv.slice(2);
+  const password = process.env.THERAPIST_PASSWORD;
+
+  if (!email || !name || !password) {
+    console.error(
+      "Usage: THERAPIST_PASSWORD=... node scripts/createTherapist.js <email> <name>"
+    );
+    process.exit(1);
+  }
+
   try {
     await mongoose.connect(process.env.MONGODB_URI);
 
     const therapist = new Therapist({
-      name: "Dr. John Doe",
-      email: "A@1.com",
-      password: "123", // Will be hashed automatically
+      name,
+      email,
+      password, // Will be hashed automatically
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+      status: "approved",
+      statusReason: "Created by script",
+      statusChangedAt: new Date(),
     });
 
     await therapist.save();
-    console.log("Therapist created successfully");
+    console.log(`Therapist created successfully: ${therapist.email} (${therapist._id})`);
     process.exit(0);
   } catch (error) {
     console.error("Error creating therapist:", error);
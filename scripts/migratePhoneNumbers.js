@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const OtpService = require('../services/otpService');
+
+// how to use - Run once with: node scripts/migratePhoneNumbers.js [--dry-run]
+// OTP login only accepts E.164 numbers. Accounts created before that were
+// stored as typed ("9876543210", "+91 98765-43210", ...), so rewrite them to
+// E.164 (PHONE_DEFAULT_COUNTRY_CODE for numbers without a country code).
+// Numbers that can't be parsed, or that would collide with another account,
+// are listed and left untouched for manual review.
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/therapist-connect';
+
+async function migratePhoneNumbers() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const users = await User.find({
+      phoneNumber: { $not: /^\+[1-9]\d{7,14}$/ },
+    }).select('phoneNumber');
+
+    console.log(`Found ${users.length} users with non-E.164 phone numbers`);
+
+    let migrated = 0;
+    const invalid = [];
+    const conflicts = [];
+
+    for (const user of users) {
+      const phoneNumber = OtpService.normalizePhoneNumber(user.phoneNumber);
+
+      if (!phoneNumber) {
+        invalid.push(user);
+        continue;
+      }
+
+      const existing = await User.findOne({ phoneNumber, _id: { $ne: user._id } }).select('_id');
+      if (existing) {
+        conflicts.push({ user, phoneNumber, existingId: existing._id });
+        continue;
+      }
+
+      if (!dryRun) {
+        await User.updateOne({ _id: user._id }, { phoneNumber, updatedAt: new Date() });
+      }
+      migrated++;
+    }
+
+    console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} phone numbers`);
+
+    if (invalid.length > 0) {
+      console.log(`\n${invalid.length} numbers could not be parsed:`);
+      invalid.forEach((user) => console.log(`  ${user._id}: "${user.phoneNumber}"`));
+    }
+
+    if (conflicts.length > 0) {
+      console.log(`\n${conflicts.length} numbers collide with an existing account:`);
+      conflicts.forEach(({ user, phoneNumber, existingId }) =>
+        console.log(`  ${user._id}: "${user.phoneNumber}" -> ${phoneNumber} (taken by ${existingId})`)
+      );
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+migratePhoneNumbers();
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+const mongoose = require('mongoose');
+const Therapist = require('../models/Therapist');
+require('dotenv').config();
+
+// how to use - Run once with: node scripts/migrateTherapistStatus.js
+// Therapists created before signup/approval existed have no status field and
+// would otherwise read as pending. They were vetted manually, so mark them
+// approved with a verified email.
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/therapist-connect';
+
+async function migrateTherapistStatus() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const now = new Date();
+    const result = await Therapist.updateMany(
+      { status: { $exists: false } },
+      {
+        $set: {
+          status: 'approved',
+          statusReason: 'Existing account at approval rollout',
+          statusChangedAt: now,
+          emailVerified: true,
+          emailVerifiedAt: now,
+        },
+      }
+    );
+
+    console.log(`Approved ${result.modifiedCount} existing therapists`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+migrateTherapistStatus();
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Therapist = require('../models/Therapist');
+const CoinTransaction = require('../models/CoinTransaction');
+const LedgerService = require('../services/ledgerService');
+require('dotenv').config();
+
+// how to use - Run with: node scripts/reconcileBalances.js [--backfill]
+// --backfill writes an opening "adjustment" entry for accounts that predate
+// the ledger (no entries at all) so their stored balance becomes the baseline.
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/therapist-connect';
+const backfill = process.argv.includes('--backfill');
+
+async function reconcileOwners(ownerType, Model) {
+  const owners = await Model.find().select('_id');
+  let mismatches = 0;
+  let backfilled = 0;
+
+  for (const owner of owners) {
+    const report = await LedgerService.reconcile(ownerType, owner._id);
+
+    if (report.isConsistent) continue;
+
+    if (backfill && report.transactionCount === 0) {
+      await CoinTransaction.create({
+        ownerType,
+        ownerId: owner._id,
+        type: 'adjustment',
+        amount: report.storedBalance,
+        balanceAfter: report.storedBalance,
+        idempotencyKey: `opening-balance:${ownerType}:${owner._id}`,
+        description: 'Opening balance (pre-ledger)',
+      });
+      backfilled++;
+      continue;
+    }
+
+    mismatches++;
+    console.log(`${ownerType} ${owner._id}:`);
+    console.log(`   Stored balance: ${report.storedBalance}`);
+    console.log(`   Ledger balance: ${report.ledgerBalance}`);
+    console.log(`   Difference: ${report.difference}`);
+  }
+
+  console.log(
+    `${ownerType}: checked ${owners.length}, mismatched ${mismatches}, backfilled ${backfilled}`
+  );
+  return mismatches;
+}
+
+async function reconcileBalances() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const userMismatches = await reconcileOwners('User', User);
+    const therapistMismatches = await reconcileOwners('Therapist', Therapist);
+
+    await mongoose.disconnect();
+    process.exit(userMismatches + therapistMismatches > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+reconcileBalances();
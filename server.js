@@ -7,15 +7,38 @@ const http = require("http");
 
 dotenv.config();
 
+// Refuse to boot with a missing or placeholder JWT secret outside development
+const TokenService = require("./services/tokenService");
+TokenService.assertConfigured();
+// Same for the payment provider; development only warns (the fake one is
+// development-only)
+require("./services/payments").assertConfigured();
+// And malformed TURN settings, which would otherwise fail every call
+require("./services/iceServerService").assertConfigured();
+
 const app = express();
 const server = http.createServer(app);
 
 // Import WebRTC SignalingServer
 const SignalingServer = require("./services/signalingServer");
+const NotificationService = require("./services/notificationService");
+
+// Behind a load balancer req.ip must come from X-Forwarded-For for the
+// per-IP OTP limits to work (e.g. TRUST_PROXY=1)
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", process.env.TRUST_PROXY);
+}
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(
+  express.json({
+    // Keep the raw body around for payment and call webhook signature checks
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // MongoDB connection
 mongoose
@@ -27,26 +50,46 @@ mongoose
 
 // Initialize WebRTC Signaling Server
 const signalingServer = new SignalingServer(server);
+// Lets routes reach live sockets, e.g. to drop a suspended therapist's
+app.set("signalingServer", signalingServer);
 
 // Import routes
 const authRoutes = require("./routes/auth");
 const userRoutes = require("./routes/user");
 const therapistRoutes = require("./routes/therapist");
 const callRoutes = require("./routes/call");
+const walletRoutes = require("./routes/wallet");
+const adminRoutes = require("./routes/admin");
+const smsRoutes = require("./routes/sms");
+const webrtcRoutes = require("./routes/webrtc");
+const auth = require("./middleware/auth");
 
 // Use routes
 app.use("/api/auth", authRoutes);
 app.use("/api/user", userRoutes);
 app.use("/api/therapist", therapistRoutes);
 app.use("/api/call", callRoutes);
+app.use("/api/wallet", walletRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/sms", smsRoutes);
+app.use("/api/webrtc", webrtcRoutes);
 
 // WebRTC signaling status endpoint
-app.get("/api/webrtc/status", (req, res) => {
-  res.json({
-    connectedUsers: signalingServer.getConnectedUsersCount(),
-    activeCalls: signalingServer.getActiveCallsCount(),
-    status: "running"
-  });
+// Counts cover every instance sharing the signaling store
+app.get("/api/webrtc/status", auth("admin", { permissions: ["calls:read"] }), async (req, res) => {
+  try {
+    const stats = await signalingServer.getStats();
+
+    res.json({
+      ...stats,
+      instanceId: signalingServer.instanceId,
+      store: signalingServer.store.name,
+      status: "running"
+    });
+  } catch (error) {
+    console.error("WebRTC status error:", error);
+    res.status(500).json({ error: "Failed to fetch signaling status" });
+  }
 });
 
 const PORT = process.env.PORT || 3000;
@@ -55,4 +98,11 @@ server.listen(PORT, () => {
   console.log(`WebRTC Signaling Server running on ws://localhost:${PORT}`);
 });
 
+// Notification emails that failed to send are retried in the background
+setInterval(() => {
+  NotificationService.retryPending().catch((err) =>
+    console.error("Notification retry error:", err)
+  );
+}, 5 * 60 * 1000).unref();
+
 module.exports = { app, server, signalingServer };
\ No newline at end of file
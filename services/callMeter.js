@@ -0,0 +1,136 @@
+// services/callMeter.js - Server-side per-minute metering for answered calls
+const CallLog = require("../models/CallLog");
+const User = require("../models/User");
+const CallSettlementService = require("./callSettlementService");
+const PromoService = require("./promoService");
+
+const MINUTE_MS = 60 * 1000;
+
+class CallMeter {
+  constructor(signalingServer) {
+    this.signalingServer = signalingServer;
+    this.meters = new Map(); // callID -> { timer, answeredAt, warned, ... }
+  }
+
+  // Start the billing clock for a call that was just answered. Calls are
+  // billed per started minute, so at every minute boundary we check the
+  // user can afford the next one and cut the call off if not.
+  async start(callID) {
+    if (this.meters.has(callID)) return;
+
+    try {
+      // The answer transition (and actualStartTime) is written by whoever
+      // accepted the call; the meter only follows it
+      const callLog = await CallLog.findOne({ callId: callID });
+
+      if (!callLog || callLog.status !== "answered") {
+        console.log(`Metering skipped for ${callID}: call not answered`);
+        return;
+      }
+
+      const promo = callLog.toObject().promo;
+
+      this.meters.set(callID, {
+        userId: callLog.userId,
+        costPerMinute: callLog.getRate().costPerMinute,
+        // What the user will owe if the call runs for `minutes`, after any promo
+        costFor: (minutes) => {
+          const costData = callLog.calculateCost(minutes * 60);
+          return (
+            costData.costInCoins -
+            PromoService.calculateDiscount(promo, costData, callLog.getRate())
+          );
+        },
+        answeredAt: (callLog.actualStartTime || new Date()).getTime(),
+        warned: false,
+        timer: null,
+      });
+
+      console.log(`Metering started for call ${callID}`);
+      await this.check(callID, 0);
+    } catch (error) {
+      console.error(`Failed to start metering for ${callID}:`, error);
+    }
+  }
+
+  stop(callID) {
+    const meter = this.meters.get(callID);
+    if (!meter) return;
+
+    clearTimeout(meter.timer);
+    this.meters.delete(callID);
+  }
+
+  // Runs at the start of billed minute `minute` (0-based)
+  async check(callID, minute) {
+    const meter = this.meters.get(callID);
+    if (!meter) return;
+
+    try {
+      const callLog = await CallLog.findOne({ callId: callID }).select("status");
+      if (!callLog || callLog.status !== "answered") {
+        // Ended elsewhere (REST /end, webhook) - nothing left to meter
+        this.stop(callID);
+        return;
+      }
+
+      const user = await User.findById(meter.userId).select("coinBalance");
+      const balance = user ? user.coinBalance : 0;
+
+      // Can't pay for the minute that is about to start
+      if (balance < meter.costFor(minute + 1)) {
+        await this.cutOff(callID, minute * 60);
+        return;
+      }
+
+      // This is the last minute the balance covers
+      if (!meter.warned && balance < meter.costFor(minute + 2)) {
+        meter.warned = true;
+        await this.signalingServer.emitToCallParticipants(callID, "balance-low", {
+          callID,
+          remainingSeconds: 60,
+          coinBalance: balance,
+          costPerMinute: meter.costPerMinute,
+        });
+      }
+
+      // Proof of life for settling the call if it is later found abandoned
+      await CallLog.updateOne(
+        { callId: callID, status: "answered" },
+        { "billing.lastMeteredAt": new Date() }
+      );
+
+      const nextCheckAt = meter.answeredAt + (minute + 1) * MINUTE_MS;
+      meter.timer = setTimeout(
+        () => this.check(callID, minute + 1),
+        Math.max(0, nextCheckAt - Date.now())
+      );
+    } catch (error) {
+      console.error(`Metering check failed for ${callID}:`, error);
+      // Try again shortly rather than letting the call run unmetered
+      meter.timer = setTimeout(() => this.check(callID, minute), 5000);
+    }
+  }
+
+  async cutOff(callID, duration) {
+    this.stop(callID);
+
+    console.log(`Ending call ${callID}: insufficient balance`);
+
+    await this.signalingServer.emitToCallParticipants(callID, "call-ended", {
+      callID,
+      endedBy: "server",
+      reason: "insufficient_balance",
+    });
+    await this.signalingServer.removeCall(callID);
+
+    await CallSettlementService.settleCall(callID, {
+      endedBy: "user",
+      maxDuration: duration,
+      endReason: "insufficient_balance",
+      unansweredEndReason: "insufficient_balance",
+    });
+  }
+}
+
+module.exports = CallMeter;
@@ -0,0 +1,126 @@
+// services/callMetricsService.js - Ring-to-answer latency and answer/reject/miss rates
+const mongoose = require("mongoose");
+const CallLog = require("../models/CallLog");
+const ServiceError = require("./serviceError");
+
+const DEFAULT_RANGE_DAYS = 30;
+
+// Nearest-rank percentile of an ascending array
+const percentile = (sorted, p) =>
+  sorted.length ? sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)] : null;
+
+const rate = (count, total) =>
+  total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+
+const summarize = (group) => {
+  const latencies = group.responseTimes.filter((ms) => ms !== null).sort((a, b) => a - b);
+  const mean = latencies.length
+    ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length)
+    : null;
+
+  return {
+    therapistId: group._id,
+    rang: group.rang,
+    answered: group.answered,
+    rejected: group.rejected,
+    missed: group.missed,
+    cancelled: group.cancelled,
+    acceptRate: rate(group.answered, group.rang),
+    rejectRate: rate(group.rejected, group.rang),
+    missRate: rate(group.missed, group.rang),
+    responseTime: {
+      medianMs: percentile(latencies, 0.5),
+      p90Ms: percentile(latencies, 0.9),
+      meanMs: mean,
+      sampleSize: latencies.length,
+    },
+  };
+};
+
+class CallMetricsService {
+  // ?from=&to= as ISO dates; defaults to the last 30 days
+  static parseRange({ from, to } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from
+      ? new Date(from)
+      : new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+      throw new ServiceError("Invalid date range");
+    }
+    return { from: start, to: end };
+  }
+
+  // Per-therapist metrics for calls that rang in the range. Only calls that
+  // actually reached the therapist count: busy/offline attempts and calls
+  // that never rang are left out. An answered call counts as answered even
+  // if it later failed. Pass therapistIds to limit the comparison.
+  static async getResponseMetrics({ from, to, therapistIds = null }) {
+    const match = {
+      "timeline.ringingAt": { $gte: from, $lte: to },
+    };
+    if (therapistIds) {
+      match.therapistId = {
+        $in: therapistIds.map((id) => new mongoose.Types.ObjectId(id)),
+      };
+    }
+
+    const answered = { $ne: ["$timeline.answeredAt", null] };
+    const notAnswered = { $eq: ["$timeline.answeredAt", null] };
+    const countWhen = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+    const groups = await CallLog.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$therapistId",
+          rang: { $sum: 1 },
+          answered: countWhen(answered),
+          rejected: countWhen({
+            $and: [notAnswered, { $ne: ["$timeline.rejectedAt", null] }],
+          }),
+          missed: countWhen({
+            $and: [
+              notAnswered,
+              { $eq: ["$timeline.rejectedAt", null] },
+              { $ne: ["$timeline.timedOutAt", null] },
+            ],
+          }),
+          cancelled: countWhen({
+            $and: [
+              notAnswered,
+              { $eq: ["$timeline.rejectedAt", null] },
+              { $eq: ["$timeline.timedOutAt", null] },
+              { $ne: ["$timeline.cancelledAt", null] },
+            ],
+          }),
+          responseTimes: { $push: "$timeline.responseTimeMs" },
+        },
+      },
+    ]);
+
+    return groups.map(summarize);
+  }
+
+  static async getTherapistResponseMetrics(therapistId, range) {
+    const [metrics] = await CallMetricsService.getResponseMetrics({
+      ...range,
+      therapistIds: [therapistId],
+    });
+
+    return (
+      metrics ||
+      summarize({
+        _id: therapistId,
+        rang: 0,
+        answered: 0,
+        rejected: 0,
+        missed: 0,
+        cancelled: 0,
+        responseTimes: [],
+      })
+    );
+  }
+}
+
+module.exports = CallMetricsService;
@@ -0,0 +1,213 @@
+// services/callQualityService.js - Client WebRTC stats samples and their per-call rollup
+const CallLog = require("../models/CallLog");
+const CallQualitySample = require("../models/CallQualitySample");
+const ServiceError = require("./serviceError");
+
+const MAX_SAMPLES_PER_BATCH = 60;
+// Client clocks drift; samples stamped outside this window get the server time
+const MAX_SAMPLE_AGE_MS = 5 * 60 * 1000;
+
+const PLATFORMS = ["android", "ios", "web"];
+const { NETWORK_TYPES } = CallQualitySample;
+
+// Accepted range for each metric; anything else is dropped
+const METRICS = {
+  rttMs: 10000,
+  jitterMs: 10000,
+  packetLossPercent: 100,
+  bitrateKbps: 100000,
+};
+
+const metric = (value, max) => {
+  const number = Number(value);
+  return value !== null && value !== "" && Number.isFinite(number) && number >= 0 && number <= max
+    ? number
+    : null;
+};
+
+const sampleTime = (timestamp, now) => {
+  const at = new Date(timestamp);
+  const ms = at.getTime();
+  return Number.isNaN(ms) || ms > now || ms < now - MAX_SAMPLE_AGE_MS ? new Date(now) : at;
+};
+
+const round = (value, places = 1) =>
+  value === null || value === undefined ? null : Math.round(value * 10 ** places) / 10 ** places;
+
+// Simplified ITU-T G.107 E-model: one-way latency (half the RTT) plus
+// jitter, then packet loss, mapped to a 1-5 mean opinion score
+const estimateMos = ({ avgRttMs, avgJitterMs, avgPacketLossPercent }) => {
+  if (avgRttMs === null && avgPacketLossPercent === null) return null;
+
+  const latency = (avgRttMs || 0) / 2 + (avgJitterMs || 0) * 2 + 10;
+  let r = latency < 160 ? 93.2 - latency / 40 : 93.2 - (latency - 120) / 10;
+  r -= (avgPacketLossPercent || 0) * 2.5;
+  r = Math.min(100, Math.max(0, r));
+
+  return round(1 + 0.035 * r + 0.000007 * r * (r - 60) * (100 - r));
+};
+
+const qualityFor = (mos) => {
+  if (mos === null) return "unknown";
+  if (mos >= 4.3) return "excellent";
+  if (mos >= 4.0) return "good";
+  if (mos >= 3.6) return "fair";
+  return "poor";
+};
+
+class CallQualityService {
+  // Store a batch of getStats samples from one side of an answered call.
+  // context carries the client's platform, appVersion and networkType.
+  // Returns the number of samples stored.
+  static async record(callId, { participantType, participantId }, samples, context = {}) {
+    if (!Array.isArray(samples) || samples.length === 0) {
+      throw new ServiceError("samples must be a non-empty array");
+    }
+    if (samples.length > MAX_SAMPLES_PER_BATCH) {
+      throw new ServiceError(`At most ${MAX_SAMPLES_PER_BATCH} samples per batch`);
+    }
+
+    const callLog = await CallLog.findOne({
+      callId,
+      $or: [{ userId: participantId }, { therapistId: participantId }],
+    }).select("status");
+    if (!callLog) {
+      throw new ServiceError("Call not found", 404);
+    }
+    if (callLog.status !== "answered") {
+      throw new ServiceError("Call is not in progress", 409);
+    }
+
+    const meta = {
+      callId,
+      participantType,
+      participantId,
+      platform: PLATFORMS.includes(context.platform) ? context.platform : "unknown",
+      appVersion: context.appVersion ? String(context.appVersion).slice(0, 50) : null,
+      networkType: NETWORK_TYPES.includes(context.networkType) ? context.networkType : "unknown",
+    };
+
+    const now = Date.now();
+    const docs = [];
+    for (const sample of samples) {
+      const values = {};
+      for (const [field, max] of Object.entries(METRICS)) {
+        values[field] = metric(sample?.[field], max);
+      }
+      if (Object.values(values).every((value) => value === null)) continue;
+
+      docs.push({
+        at: sampleTime(sample.timestamp, now),
+        // A sample may report the network it was taken on
+        meta: NETWORK_TYPES.includes(sample.networkType)
+          ? { ...meta, networkType: sample.networkType }
+          : meta,
+        ...values,
+      });
+    }
+
+    if (docs.length > 0) {
+      await CallQualitySample.insertMany(docs);
+    }
+    return docs.length;
+  }
+
+  // Summarise a finished call's samples into CallLog.callQuality: one entry
+  // per side, the worse side's MOS as audioQuality and its rating as
+  // networkQuality. Runs once per call.
+  static async rollup(callId) {
+    const sides = await CallQualitySample.aggregate([
+      { $match: { "meta.callId": callId } },
+      { $sort: { at: 1 } },
+      {
+        $group: {
+          _id: "$meta.participantType",
+          platform: { $last: "$meta.platform" },
+          appVersion: { $last: "$meta.appVersion" },
+          networkType: { $last: "$meta.networkType" },
+          sampleCount: { $sum: 1 },
+          avgRttMs: { $avg: "$rttMs" },
+          maxRttMs: { $max: "$rttMs" },
+          rttSamples: { $sum: { $cond: [{ $ne: ["$rttMs", null] }, 1, 0] } },
+          avgJitterMs: { $avg: "$jitterMs" },
+          avgPacketLossPercent: { $avg: "$packetLossPercent" },
+          maxPacketLossPercent: { $max: "$packetLossPercent" },
+          avgBitrateKbps: { $avg: "$bitrateKbps" },
+        },
+      },
+    ]);
+
+    const participants = sides.map((side) => {
+      const summary = {
+        participantType: side._id,
+        platform: side.platform,
+        appVersion: side.appVersion,
+        networkType: side.networkType,
+        sampleCount: side.sampleCount,
+        avgRttMs: round(side.avgRttMs),
+        maxRttMs: round(side.maxRttMs),
+        avgJitterMs: round(side.avgJitterMs),
+        avgPacketLossPercent: round(side.avgPacketLossPercent, 2),
+        maxPacketLossPercent: round(side.maxPacketLossPercent, 2),
+        avgBitrateKbps: round(side.avgBitrateKbps),
+      };
+      summary.mos = estimateMos(summary);
+      summary.networkQuality = qualityFor(summary.mos);
+      return summary;
+    });
+
+    const set = {
+      "callQuality.participants": participants,
+      "callQuality.rolledUpAt": new Date(),
+    };
+
+    const rated = participants.filter((side) => side.mos !== null);
+    if (rated.length > 0) {
+      const worst = rated.reduce((a, b) => (b.mos < a.mos ? b : a));
+      set["callQuality.audioQuality"] = worst.mos;
+      set["callQuality.networkQuality"] = worst.networkQuality;
+    }
+
+    const rttSamples = sides.reduce((sum, side) => sum + side.rttSamples, 0);
+    if (rttSamples > 0) {
+      set["analytics.averageLatency"] = round(
+        sides.reduce((sum, side) => sum + (side.avgRttMs || 0) * side.rttSamples, 0) / rttSamples
+      );
+    }
+
+    for (const side of participants) {
+      set[`deviceInfo.${side.participantType}Platform`] = side.platform;
+      set[`deviceInfo.${side.participantType}AppVersion`] = side.appVersion;
+    }
+
+    const updated = await CallLog.findOneAndUpdate(
+      { callId, "callQuality.rolledUpAt": null },
+      { $set: set },
+      { new: true }
+    ).select("callId callQuality analytics");
+
+    return updated ? updated.callQuality : null;
+  }
+
+  // A call's rollup and raw samples, oldest first
+  static async getCallQuality(callId) {
+    const callLog = await CallLog.findOne({ callId }).select(
+      "callId callType status actualStartTime endTime callQuality analytics deviceInfo"
+    );
+    if (!callLog) {
+      throw new ServiceError("Call not found", 404);
+    }
+
+    const samples = await CallQualitySample.find({ "meta.callId": callId })
+      .sort({ at: 1 })
+      .select("-_id")
+      .lean();
+
+    return { callLog, samples };
+  }
+}
+
+CallQualityService.MAX_SAMPLES_PER_BATCH = MAX_SAMPLES_PER_BATCH;
+CallQualityService.estimateMos = estimateMos;
+
+module.exports = CallQualityService;
@@ -0,0 +1,289 @@
+// services/callSettlementService.js - Single place where finished calls are billed
+const mongoose = require("mongoose");
+const CallLog = require("../models/CallLog");
+const LedgerService = require("./ledgerService");
+const PromoService = require("./promoService");
+const CallStateMachine = require("./callStateMachine");
+const CallQualityService = require("./callQualityService");
+
+const { STATUSES, OPEN_STATUSES } = CallStateMachine;
+
+// Summarise the quality samples of a call that was answered; never blocks
+// settlement
+const rollupQuality = (callId) => {
+  CallQualityService.rollup(callId).catch((error) => {
+    console.error(`Failed to roll up quality for call ${callId}:`, error.message);
+  });
+};
+
+const costDataFrom = (callLog) => ({
+  durationMinutes: callLog.durationMinutes,
+  costInCoins: callLog.costInCoins,
+  therapistEarningsCoins: callLog.therapistEarningsCoins,
+  platformCommissionCoins: callLog.platformCommissionCoins,
+  discountCoins: callLog.promo ? callLog.promo.discountCoins : 0,
+});
+
+class CallSettlementService {
+  // Close a call and move the coins for it in one transaction. Only the
+  // first caller settles; repeat calls (retries, webhook + REST racing)
+  // get the already-settled result back with alreadySettled: true.
+  //
+  // The billed duration always comes from server timestamps: answer time
+  // (actualStartTime) to now. Client-reported durations are not trusted.
+  //
+  // options.endedBy          - "user" | "therapist"
+  // options.actor            - { type, id } recorded in statusHistory
+  // options.maxDuration      - cap on billed seconds (the meter cuts calls off
+  //                            at a minute boundary the user could pay for)
+  // options.unansweredStatus    - status for calls that were never answered
+  //                               (default cancelled_by_<endedBy>)
+  // options.endReason           - endReason for answered calls
+  // options.unansweredEndReason - endReason for calls that were never answered
+  static async settleCall(callId, options = {}) {
+    const session = await mongoose.startSession();
+
+    try {
+      let result;
+
+      await session.withTransaction(async () => {
+        result = await CallSettlementService._settle(callId, options, session);
+      });
+
+      if (result && !result.alreadySettled && result.callLog.actualStartTime) {
+        rollupQuality(callId);
+      }
+
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  static async _settle(callId, options, session) {
+    const {
+      endedBy = "user",
+      actor = CallStateMachine.SYSTEM_ACTOR,
+      maxDuration = null,
+      unansweredStatus = `cancelled_by_${endedBy}`,
+      endReason = "ended",
+      unansweredEndReason = "cancelled",
+    } = options;
+
+    const callLog = await CallLog.findOne({ callId }).session(session);
+    if (!callLog) {
+      return null;
+    }
+
+    if (
+      callLog.billing.chargeProcessedAt ||
+      !OPEN_STATUSES.includes(callLog.status)
+    ) {
+      return { callLog, costData: costDataFrom(callLog), alreadySettled: true };
+    }
+
+    const now = new Date();
+    const wasAnswered = callLog.status === STATUSES.ANSWERED;
+    let duration = 0;
+    if (wasAnswered && callLog.actualStartTime) {
+      duration = Math.floor((now - callLog.actualStartTime) / 1000);
+      if (maxDuration !== null) {
+        duration = Math.min(duration, maxDuration);
+      }
+    }
+
+    let costData =
+      duration > 0
+        ? callLog.calculateCost(duration)
+        : {
+            durationMinutes: 0,
+            costInCoins: 0,
+            therapistEarningsCoins: 0,
+            platformCommissionCoins: 0,
+          };
+
+    const endedStatus =
+      endedBy === "therapist" ? STATUSES.ENDED_BY_THERAPIST : STATUSES.ENDED_BY_USER;
+    const status = wasAnswered ? endedStatus : unansweredStatus;
+
+    // Claim the call: the transition only applies while it is still in the
+    // status we read and unsettled, so a concurrent settlement conflicts
+    // here and retries into the alreadySettled branch above.
+    const settled = await CallLog.transition(callLog.callId, status, {
+      from: callLog.status,
+      filter: { "billing.chargeProcessedAt": null },
+      actor,
+      reason: wasAnswered ? endReason : unansweredEndReason,
+      session,
+      set: {
+        endTime: now,
+        actualDuration: duration,
+        durationMinutes: costData.durationMinutes,
+        costInCoins: costData.costInCoins,
+        therapistEarningsCoins: costData.therapistEarningsCoins,
+        platformCommissionCoins: costData.platformCommissionCoins,
+        endReason: wasAnswered ? endReason : unansweredEndReason,
+        "billing.wasCharged": costData.costInCoins > 0,
+        "billing.chargeProcessedAt": now,
+        // A call that never connected either rang out or was given up on
+        ...(!wasAnswered && {
+          [status === STATUSES.MISSED ? "timeline.timedOutAt" : "timeline.cancelledAt"]:
+            now,
+        }),
+      },
+    });
+
+    if (!settled) {
+      const current = await CallLog.findById(callLog._id).session(session);
+      return { callLog: current, costData: costDataFrom(current), alreadySettled: true };
+    }
+
+    // Attached promo code, applied now that the gross cost is known
+    const applied = await PromoService.applyToSettlement(settled, costData, session);
+    if (applied.promo) {
+      costData = applied.costData;
+      settled.set({
+        costInCoins: costData.costInCoins,
+        therapistEarningsCoins: costData.therapistEarningsCoins,
+        platformCommissionCoins: costData.platformCommissionCoins,
+        promo: applied.promo,
+        "billing.wasCharged": costData.costInCoins > 0,
+      });
+      await settled.save({ session });
+    }
+
+    const description = `${settled.callType} call - ${costData.durationMinutes} min`;
+
+    if (costData.costInCoins > 0) {
+      await LedgerService.record(
+        {
+          ownerType: "User",
+          ownerId: settled.userId,
+          type: "debit",
+          amount: -costData.costInCoins,
+          callLogId: settled._id,
+          idempotencyKey: `call:${settled.callId}:charge`,
+          description,
+        },
+        session
+      );
+    }
+
+    // A fully discounted call still earns the therapist coins when the
+    // platform funds the promo
+    if (costData.therapistEarningsCoins > 0) {
+      await LedgerService.record(
+        {
+          ownerType: "Therapist",
+          ownerId: settled.therapistId,
+          type: "credit",
+          amount: costData.therapistEarningsCoins,
+          callLogId: settled._id,
+          idempotencyKey: `call:${settled.callId}:earnings`,
+          description,
+        },
+        session
+      );
+    }
+
+    return { callLog: settled, costData, alreadySettled: false };
+  }
+
+  // Close open calls matching `filter` without billing them - for calls
+  // left open by crashed clients or servers. Unanswered calls move to
+  // options.unansweredStatus (default failed), answered ones to failed.
+  // options.statuses limits which open statuses are closed.
+  // Returns the number of calls closed.
+  static async closeWithoutCharge(filter, options = {}) {
+    const {
+      actor = CallStateMachine.SYSTEM_ACTOR,
+      endReason,
+      unansweredStatus = STATUSES.FAILED,
+      statuses = OPEN_STATUSES,
+    } = options;
+
+    const calls = await CallLog.find({
+      ...filter,
+      status: { $in: statuses },
+      "billing.chargeProcessedAt": null,
+    }).select("callId status");
+
+    let closed = 0;
+    for (const call of calls) {
+      const now = new Date();
+      const status =
+        call.status === STATUSES.ANSWERED ? STATUSES.FAILED : unansweredStatus;
+
+      const updated = await CallLog.transition(call.callId, status, {
+        from: call.status,
+        filter: { "billing.chargeProcessedAt": null },
+        actor,
+        reason: endReason,
+        set: {
+          endTime: now,
+          endReason,
+          "billing.chargeProcessedAt": now,
+        },
+      });
+      if (updated) {
+        closed++;
+        if (call.status === STATUSES.ANSWERED) {
+          rollupQuality(call.callId);
+        }
+      }
+    }
+
+    return closed;
+  }
+
+  // Clear stuck calls matching `filter` on behalf of a participant or the
+  // system without letting a live call end for free. Unanswered calls are
+  // closed without charge. Answered calls are only touched once the
+  // signaling store has no entry for them (options.isLive(callId) resolves
+  // false) and are then settled like a hang-up, billed only up to the last
+  // meter tick (billing.lastMeteredAt) rather than up to now.
+  // Returns the number of calls closed.
+  static async closeAbandoned(filter, options = {}) {
+    const {
+      isLive,
+      actor = CallStateMachine.SYSTEM_ACTOR,
+      endReason,
+      unansweredStatus = STATUSES.FAILED,
+    } = options;
+
+    let closed = await CallSettlementService.closeWithoutCharge(filter, {
+      actor,
+      endReason,
+      unansweredStatus,
+      statuses: [STATUSES.INITIATED, STATUSES.RINGING],
+    });
+
+    const answered = await CallLog.find({
+      ...filter,
+      status: STATUSES.ANSWERED,
+      "billing.chargeProcessedAt": null,
+    }).select("callId actualStartTime billing.lastMeteredAt");
+
+    for (const call of answered) {
+      if (await isLive(call.callId)) continue;
+
+      const { lastMeteredAt } = call.billing;
+      const maxDuration =
+        call.actualStartTime && lastMeteredAt
+          ? Math.max(0, Math.floor((lastMeteredAt - call.actualStartTime) / 1000))
+          : 0;
+
+      const result = await CallSettlementService.settleCall(call.callId, {
+        endedBy: actor.type === "therapist" ? "therapist" : "user",
+        actor,
+        maxDuration,
+        endReason,
+      });
+      if (result && !result.alreadySettled) closed++;
+    }
+
+    return closed;
+  }
+}
+
+module.exports = CallSettlementService;
@@ -0,0 +1,104 @@
+// services/callStateMachine.js - Legal call statuses, end reasons and transitions
+//
+//   initiated -> ringing -> answered -> ended_by_user | ended_by_therapist
+//       |           |           \-> failed
+//       |           \-> rejected | missed | cancelled_by_* | failed
+//       \-> (same as ringing) | busy | offline
+//
+// CallLog.transition applies these rules; nothing else should write status.
+const ServiceError = require("./serviceError");
+
+const STATUSES = {
+  INITIATED: "initiated",
+  RINGING: "ringing",
+  ANSWERED: "answered",
+  ENDED_BY_USER: "ended_by_user",
+  ENDED_BY_THERAPIST: "ended_by_therapist",
+  REJECTED: "rejected",
+  MISSED: "missed",
+  CANCELLED_BY_USER: "cancelled_by_user",
+  CANCELLED_BY_THERAPIST: "cancelled_by_therapist",
+  BUSY: "busy",
+  OFFLINE: "offline",
+  FAILED: "failed", // Closed by cleanup without billing
+};
+
+const END_REASONS = [
+  "ended",
+  "timeout",
+  "rejected",
+  "cancelled",
+  "network_error",
+  "insufficient_balance",
+  "cleanup", // A participant cleared their own stuck call
+  "stale_cleanup", // Closed automatically after sitting open too long
+  "admin_cleanup",
+  "unknown",
+];
+
+const ACTOR_TYPES = ["user", "therapist", "admin", "system"];
+
+const S = STATUSES;
+const NOT_ANSWERED = [
+  S.REJECTED,
+  S.MISSED,
+  S.CANCELLED_BY_USER,
+  S.CANCELLED_BY_THERAPIST,
+  S.FAILED,
+];
+
+const TRANSITIONS = {
+  // A webhook or fast accept can answer before ringing is recorded
+  [S.INITIATED]: [S.RINGING, S.ANSWERED, ...NOT_ANSWERED, S.BUSY, S.OFFLINE],
+  [S.RINGING]: [S.ANSWERED, ...NOT_ANSWERED],
+  [S.ANSWERED]: [S.ENDED_BY_USER, S.ENDED_BY_THERAPIST, S.FAILED],
+};
+
+const OPEN_STATUSES = [S.INITIATED, S.RINGING, S.ANSWERED];
+const COMPLETED_STATUSES = [S.ENDED_BY_USER, S.ENDED_BY_THERAPIST];
+
+const SYSTEM_ACTOR = { type: "system", id: null };
+
+class CallStateMachine {
+  static canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  static assertTransition(from, to) {
+    if (!CallStateMachine.canTransition(from, to)) {
+      throw new ServiceError(`Cannot move call from ${from} to ${to}`, 409, {
+        code: "INVALID_CALL_TRANSITION",
+      });
+    }
+  }
+
+  static isOpen(status) {
+    return OPEN_STATUSES.includes(status);
+  }
+
+  // { type, id } for whoever caused a transition; role is a token role
+  static actor(role, id = null) {
+    return ACTOR_TYPES.includes(role) ? { type: role, id } : SYSTEM_ACTOR;
+  }
+
+  static historyEntry(from, to, { actor = SYSTEM_ACTOR, reason = null } = {}) {
+    return {
+      from,
+      to,
+      at: new Date(),
+      actorType: actor.type,
+      actorId: actor.id || null,
+      reason,
+    };
+  }
+}
+
+CallStateMachine.STATUSES = STATUSES;
+CallStateMachine.END_REASONS = END_REASONS;
+CallStateMachine.ACTOR_TYPES = ACTOR_TYPES;
+CallStateMachine.TRANSITIONS = TRANSITIONS;
+CallStateMachine.OPEN_STATUSES = OPEN_STATUSES;
+CallStateMachine.COMPLETED_STATUSES = COMPLETED_STATUSES;
+CallStateMachine.SYSTEM_ACTOR = SYSTEM_ACTOR;
+
+module.exports = CallStateMachine;
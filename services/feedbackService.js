@@ -0,0 +1,145 @@
+// services/feedbackService.js - Post-call ratings and therapist rating aggregates
+const mongoose = require("mongoose");
+const CallLog = require("../models/CallLog");
+const Therapist = require("../models/Therapist");
+const ServiceError = require("./serviceError");
+const { COMPLETED_STATUSES } = require("./callStateMachine");
+const FEEDBACK_WINDOW_HOURS = parseInt(
+  process.env.FEEDBACK_WINDOW_HOURS || "72",
+  10
+);
+
+// Which CallLog field holds each side's rating and which id owns the call
+const SIDES = {
+  user: { ratingField: "userRating", ownerField: "userId" },
+  therapist: { ratingField: "therapistRating", ownerField: "therapistId" },
+};
+
+class FeedbackService {
+  // Rate a completed call once, within FEEDBACK_WINDOW_HOURS of it ending.
+  // userType is "user" (rating the therapist) or "therapist" (rating the
+  // session/user). User ratings roll up into the therapist's aggregates.
+  static async submit(userType, ownerId, callId, { rating, comment = null, technicalIssues = [] }) {
+    const side = SIDES[userType];
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      throw new ServiceError("Rating must be a whole number from 1 to 5");
+    }
+    if (comment !== null && comment !== undefined && typeof comment !== "string") {
+      throw new ServiceError("Comment must be text");
+    }
+    if (
+      !Array.isArray(technicalIssues) ||
+      technicalIssues.some((issue) => !CallLog.TECHNICAL_ISSUES.includes(issue))
+    ) {
+      throw new ServiceError("Invalid technical issues", 400, {
+        allowed: CallLog.TECHNICAL_ISSUES,
+      });
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      let result;
+
+      // Concurrent submissions for the same call write-conflict; the retry
+      // re-reads the call and sees it was already rated
+      await session.withTransaction(async () => {
+        const callLog = await CallLog.findOne({
+          callId,
+          [side.ownerField]: ownerId,
+        }).session(session);
+        if (!callLog) {
+          throw new ServiceError("Call not found", 404);
+        }
+
+        if (!COMPLETED_STATUSES.includes(callLog.status) || !(callLog.durationMinutes > 0)) {
+          throw new ServiceError("Only completed calls can be rated");
+        }
+
+        if (callLog.feedback[side.ratingField] !== null) {
+          throw new ServiceError("You have already rated this call", 409);
+        }
+
+        const windowEnds = new Date(
+          (callLog.endTime || callLog.updatedAt).getTime() +
+            FEEDBACK_WINDOW_HOURS * 60 * 60 * 1000
+        );
+        if (windowEnds < new Date()) {
+          throw new ServiceError("The feedback window for this call has closed");
+        }
+
+        await callLog.addFeedback(
+          userType,
+          rating,
+          comment ? comment.trim() : null,
+          technicalIssues
+        );
+
+        let therapist = null;
+        if (userType === "user") {
+          therapist = await FeedbackService.recordTherapistRating(
+            callLog.therapistId,
+            rating,
+            session
+          );
+        }
+
+        result = { callLog, therapist };
+      });
+
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // Fold one rating into the therapist's running count, sum and distribution
+  // and recompute the average, in one atomic pipeline update. $ifNull covers
+  // therapists created before the aggregate fields existed.
+  static recordTherapistRating(therapistId, rating, session = null) {
+    return Therapist.findOneAndUpdate(
+      { _id: therapistId },
+      [
+        {
+          $set: {
+            ratingCount: { $add: [{ $ifNull: ["$ratingCount", 0] }, 1] },
+            ratingSum: { $add: [{ $ifNull: ["$ratingSum", 0] }, rating] },
+            ratingDistribution: {
+              $map: {
+                input: { $range: [0, 5] },
+                as: "stars",
+                in: {
+                  $add: [
+                    { $ifNull: [{ $arrayElemAt: ["$ratingDistribution", "$$stars"] }, 0] },
+                    { $cond: [{ $eq: ["$$stars", rating - 1] }, 1, 0] },
+                  ],
+                },
+              },
+            },
+          },
+        },
+        {
+          $set: {
+            ratingAverage: {
+              $round: [{ $divide: ["$ratingSum", "$ratingCount"] }, 2],
+            },
+          },
+        },
+      ],
+      { new: true, session }
+    ).select("ratingAverage ratingCount ratingDistribution");
+  }
+
+  static summarize(therapist) {
+    return {
+      average: therapist?.ratingAverage || 0,
+      count: therapist?.ratingCount || 0,
+      distribution: therapist?.ratingDistribution || [0, 0, 0, 0, 0],
+    };
+  }
+}
+
+FeedbackService.FEEDBACK_WINDOW_HOURS = FEEDBACK_WINDOW_HOURS;
+
+module.exports = FeedbackService;
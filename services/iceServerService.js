@@ -0,0 +1,194 @@
+// services/iceServerService.js - STUN/TURN configuration and ephemeral TURN credentials
+const crypto = require("crypto");
+const CallLog = require("../models/CallLog");
+const CallStateMachine = require("./callStateMachine");
+const ServiceError = require("./serviceError");
+
+const { OPEN_STATUSES } = CallStateMachine;
+
+const STUN_URLS = (process.env.STUN_URLS || "stun:stun.l.google.com:19302")
+  .split(",")
+  .map((url) => url.trim())
+  .filter(Boolean);
+
+// Long enough to outlive a call: TURN servers re-check the credential when
+// an allocation is refreshed
+const CREDENTIAL_TTL_SECONDS = parseInt(
+  process.env.TURN_CREDENTIAL_TTL_SECONDS || "14400",
+  10
+);
+
+// TURN regions as a JSON array in TURN_REGIONS, e.g.
+//   [{ "id": "eu", "urls": ["turn:eu.turn.example.com:3478"], "secret": "..." }]
+// A region without its own secret uses TURN_SECRET. A single region can
+// also be set with TURN_URLS (comma-separated) and TURN_SECRET.
+// Throws with a message naming the bad setting.
+const loadTurnRegions = () => {
+  let regions = [];
+  if (process.env.TURN_REGIONS) {
+    try {
+      regions = JSON.parse(process.env.TURN_REGIONS);
+    } catch (error) {
+      throw new Error(`TURN_REGIONS is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(regions)) {
+      throw new Error("TURN_REGIONS must be a JSON array of regions");
+    }
+  } else if (process.env.TURN_URLS) {
+    regions = [
+      {
+        id: process.env.TURN_DEFAULT_REGION || "default",
+        urls: process.env.TURN_URLS.split(","),
+      },
+    ];
+  }
+
+  const ids = new Set();
+  const loaded = regions.map((region, index) => {
+    if (!region || typeof region.id !== "string" || !region.id) {
+      throw new Error(`TURN region #${index} needs a string id`);
+    }
+    if (ids.has(region.id)) {
+      throw new Error(`TURN region ${region.id} is defined twice`);
+    }
+    ids.add(region.id);
+
+    const urls = Array.isArray(region.urls)
+      ? region.urls.map((url) => (typeof url === "string" ? url.trim() : ""))
+      : [];
+    if (urls.length === 0 || urls.some((url) => !url)) {
+      throw new Error(`TURN region ${region.id} needs a non-empty array of urls`);
+    }
+
+    const secret = region.secret || process.env.TURN_SECRET;
+    if (!secret) {
+      throw new Error(`TURN region ${region.id} has no secret and TURN_SECRET is not set`);
+    }
+
+    return { id: region.id, urls, secret };
+  });
+
+  const defaultRegion = process.env.TURN_DEFAULT_REGION;
+  if (defaultRegion && loaded.length > 0 && !ids.has(defaultRegion)) {
+    throw new Error(`TURN_DEFAULT_REGION ${defaultRegion} is not a configured region`);
+  }
+  return loaded;
+};
+
+// Bad configuration is reported by assertConfigured at startup rather than
+// when this module is required
+let TURN_REGIONS = [];
+let configError = null;
+try {
+  TURN_REGIONS = loadTurnRegions();
+} catch (error) {
+  configError = error;
+}
+
+const DEFAULT_REGION = process.env.TURN_DEFAULT_REGION || TURN_REGIONS[0]?.id || null;
+
+const getRegion = (regionId) => TURN_REGIONS.find((region) => region.id === regionId);
+
+class IceServerService {
+  // Called at startup: refuse to run with malformed TURN settings
+  static assertConfigured() {
+    if (configError) {
+      throw new Error(`Invalid TURN configuration: ${configError.message}`);
+    }
+  }
+
+  // TURN REST API credentials: the username carries the expiry time and
+  // the password is HMAC-SHA1(secret, username), so the TURN server can
+  // check them against the shared secret without calling back here
+  static createTurnCredential(secret, userId, ttlSeconds = CREDENTIAL_TTL_SECONDS) {
+    const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const username = `${expiresAt}:${userId}`;
+    const credential = crypto
+      .createHmac("sha1", secret)
+      .update(username)
+      .digest("base64");
+
+    return { username, credential, expiresAt: new Date(expiresAt * 1000) };
+  }
+
+  // ICE servers for a participant of an open call. The TURN credential is
+  // recorded on the call before it is handed out.
+  static async issue(callId, { userId, role, regionId = null }) {
+    if (!callId) {
+      throw new ServiceError("callId is required");
+    }
+
+    const callLog = await CallLog.findOne({
+      callId,
+      $or: [{ userId }, { therapistId: userId }],
+    }).select("status");
+    if (!callLog) {
+      throw new ServiceError("Call not found", 404);
+    }
+    if (!OPEN_STATUSES.includes(callLog.status)) {
+      throw new ServiceError("Call has already ended", 409);
+    }
+
+    const iceServers = [{ urls: STUN_URLS }];
+    const result = {
+      iceServers,
+      region: null,
+      regions: TURN_REGIONS.map((region) => region.id),
+      ttl: null,
+      expiresAt: null,
+    };
+
+    const region = getRegion(regionId || DEFAULT_REGION);
+    if (regionId && !region) {
+      throw new ServiceError(`Unknown TURN region: ${regionId}`, 400, {
+        regions: result.regions,
+      });
+    }
+    if (!region) {
+      // No TURN configured - STUN only
+      return result;
+    }
+
+    const { username, credential, expiresAt } = IceServerService.createTurnCredential(
+      region.secret,
+      userId
+    );
+
+    const recorded = await CallLog.updateOne(
+      { _id: callLog._id, status: { $in: OPEN_STATUSES } },
+      {
+        $push: {
+          turnCredentials: {
+            username,
+            region: region.id,
+            issuedToType: role,
+            issuedToId: userId,
+            issuedAt: new Date(),
+            expiresAt,
+          },
+        },
+      }
+    );
+    if (recorded.matchedCount === 0) {
+      throw new ServiceError("Call has already ended", 409);
+    }
+
+    iceServers.push({
+      urls: region.urls,
+      username,
+      credential,
+    });
+
+    return {
+      ...result,
+      region: region.id,
+      ttl: CREDENTIAL_TTL_SECONDS,
+      expiresAt,
+    };
+  }
+}
+
+IceServerService.CREDENTIAL_TTL_SECONDS = CREDENTIAL_TTL_SECONDS;
+IceServerService.TURN_REGIONS = TURN_REGIONS;
+
+module.exports = IceServerService;
@@ -0,0 +1,147 @@
+// services/ledgerService.js - Coin ledger: every balance change goes through here
+const mongoose = require("mongoose");
+const CoinTransaction = require("../models/CoinTransaction");
+const User = require("../models/User");
+const Therapist = require("../models/Therapist");
+
+// Balance field each ledger owner type moves
+const OWNER_BALANCES = {
+  User: { model: User, field: "coinBalance" },
+  Therapist: { model: Therapist, field: "totalEarningsCoins" },
+};
+
+const SIGNUP_BONUS_COINS = parseInt(process.env.SIGNUP_BONUS_COINS || "100", 10);
+
+class LedgerService {
+  // Apply a signed amount to an owner's balance and append the matching
+  // ledger entry. Repeating a call with the same idempotencyKey returns the
+  // original entry without touching the balance again. Pass a session to
+  // join a caller's transaction; otherwise one is started here.
+  static async record(entry, session = null) {
+    if (!OWNER_BALANCES[entry.ownerType]) {
+      throw new Error(`Unknown ledger owner type: ${entry.ownerType}`);
+    }
+    if (!entry.idempotencyKey) {
+      throw new Error("Ledger entries require an idempotency key");
+    }
+
+    if (session) {
+      return LedgerService._apply(entry, session);
+    }
+
+    const ownSession = await mongoose.startSession();
+    try {
+      let result;
+      await ownSession.withTransaction(async () => {
+        result = await LedgerService._apply(entry, ownSession);
+      });
+      return result;
+    } catch (error) {
+      // Lost a race against the same key - the other write already applied it
+      if (error.code === 11000) {
+        const transaction = await CoinTransaction.findOne({
+          idempotencyKey: entry.idempotencyKey,
+        });
+        if (transaction) {
+          return { transaction, duplicate: true };
+        }
+      }
+      throw error;
+    } finally {
+      await ownSession.endSession();
+    }
+  }
+
+  static async _apply(entry, session) {
+    const {
+      ownerType,
+      ownerId,
+      type,
+      amount,
+      idempotencyKey,
+      callLogId = null,
+      description = null,
+      metadata = {},
+    } = entry;
+
+    const existing = await CoinTransaction.findOne({ idempotencyKey }).session(
+      session
+    );
+    if (existing) {
+      return { transaction: existing, duplicate: true };
+    }
+
+    const { model, field } = OWNER_BALANCES[ownerType];
+    const owner = await model.findByIdAndUpdate(
+      ownerId,
+      { $inc: { [field]: amount }, updatedAt: new Date() },
+      { new: true, session }
+    );
+
+    if (!owner) {
+      throw new Error(`${ownerType} not found: ${ownerId}`);
+    }
+
+    const [transaction] = await CoinTransaction.create(
+      [
+        {
+          ownerType,
+          ownerId,
+          type,
+          amount,
+          balanceAfter: owner[field],
+          callLogId,
+          idempotencyKey,
+          description,
+          metadata,
+        },
+      ],
+      { session }
+    );
+
+    return { transaction, duplicate: false };
+  }
+
+  // Credit the one-off welcome coins to a newly created user
+  static grantSignupBonus(userId, session = null) {
+    return LedgerService.record(
+      {
+        ownerType: "User",
+        ownerId: userId,
+        type: "bonus",
+        amount: SIGNUP_BONUS_COINS,
+        idempotencyKey: `signup-bonus:${userId}`,
+        description: "Welcome bonus",
+      },
+      session
+    );
+  }
+
+  // Compare the stored balance with the sum of the owner's ledger entries
+  static async reconcile(ownerType, ownerId) {
+    const { model, field } = OWNER_BALANCES[ownerType];
+    const owner = await model.findById(ownerId).select(field);
+
+    if (!owner) {
+      throw new Error(`${ownerType} not found: ${ownerId}`);
+    }
+
+    const ledger = await CoinTransaction.getLedgerBalance(ownerType, ownerId);
+    const storedBalance = owner[field];
+
+    return {
+      ownerType,
+      ownerId,
+      storedBalance,
+      ledgerBalance: ledger.balance,
+      transactionCount: ledger.count,
+      difference: storedBalance - ledger.balance,
+      isConsistent: storedBalance === ledger.balance,
+    };
+  }
+}
+
+LedgerService.OWNER_BALANCES = OWNER_BALANCES;
+LedgerService.SIGNUP_BONUS_COINS = SIGNUP_BONUS_COINS;
+
+module.exports = LedgerService;
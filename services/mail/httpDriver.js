@@ -0,0 +1,36 @@
+// services/mail/httpDriver.js - Generic JSON-over-HTTP transactional mail API
+const axios = require("axios");
+const MailDriver = require("./mailDriver");
+
+// POSTs { from, to, subject, text } to MAIL_HTTP_API_URL with an optional
+// bearer token. The API should answer 2xx with { id } or { messageId }.
+class HttpMailDriver extends MailDriver {
+  constructor(options = {}) {
+    super("http");
+    this.url = options.url || process.env.MAIL_HTTP_API_URL;
+    this.token = options.token || process.env.MAIL_HTTP_API_TOKEN;
+    this.from = options.from || process.env.MAIL_FROM;
+    this.timeout = options.timeout || 10000;
+  }
+
+  async send({ to, subject, text }) {
+    if (!this.url) {
+      throw new Error("MAIL_HTTP_API_URL is not configured");
+    }
+
+    const response = await axios.post(
+      this.url,
+      { from: this.from, to, subject, text },
+      {
+        timeout: this.timeout,
+        headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+      }
+    );
+
+    return {
+      providerMessageId: String(response.data?.id || response.data?.messageId || ""),
+    };
+  }
+}
+
+module.exports = HttpMailDriver;
@@ -0,0 +1,85 @@
+// services/mail/index.js - Transactional email through the configured driver
+const HttpMailDriver = require("./httpDriver");
+const LocalMailDriver = require("./localDriver");
+
+const DRIVERS = {
+  http: () => new HttpMailDriver(),
+  local: () => new LocalMailDriver(),
+};
+
+let driver = null;
+
+// MAIL_DRIVER picks the driver; defaults to the HTTP API in production and
+// the local outbox everywhere else
+const getDriver = () => {
+  if (!driver) {
+    const name =
+      process.env.MAIL_DRIVER ||
+      (process.env.NODE_ENV === "production" ? "http" : "local");
+    if (!DRIVERS[name]) {
+      throw new Error(`Unknown mail driver: ${name}`);
+    }
+    driver = DRIVERS[name]();
+  }
+  return driver;
+};
+
+// Links in emails point at the client app, e.g. https://app.example.com
+const appUrl = (path) =>
+  `${(process.env.APP_BASE_URL || "http://localhost:3000").replace(/\/$/, "")}${path}`;
+
+class MailService {
+  static async send(to, subject, text, { purpose = "general" } = {}) {
+    const mailer = getDriver();
+    const result = await mailer.send({ to, subject, text, purpose });
+    console.log(`Mail "${purpose}" sent to ${to} via ${mailer.name}`);
+    return result;
+  }
+
+  static sendTherapistEmailVerification(to, name, token) {
+    const link = appUrl(`/therapist/verify-email?token=${token}`);
+    return MailService.send(
+      to,
+      "Verify your Therapist Connect email",
+      `Hi ${name},\n\nConfirm your email address to continue your therapist application:\n${link}\n\nIf you didn't sign up, you can ignore this email.`,
+      { purpose: "email_verification" }
+    );
+  }
+
+  static sendTherapistPasswordReset(to, name, token, expiresInMinutes) {
+    const link = appUrl(`/therapist/reset-password?token=${token}`);
+    return MailService.send(
+      to,
+      "Reset your Therapist Connect password",
+      `Hi ${name},\n\nUse this link to choose a new password. It expires in ${expiresInMinutes} minutes:\n${link}\n\nIf you didn't ask for a reset, you can ignore this email.`,
+      { purpose: "password_reset" }
+    );
+  }
+
+  static sendTherapistStatusChanged(to, name, status, reason) {
+    const messages = {
+      approved: "Your therapist account has been approved. You can now go online and take calls.",
+      suspended: `Your therapist account has been suspended.${reason ? ` Reason: ${reason}` : ""}`,
+    };
+    return MailService.send(
+      to,
+      "Your Therapist Connect account status",
+      `Hi ${name},\n\n${messages[status]}`,
+      { purpose: "account_status" }
+    );
+  }
+
+  // Email copy of an in-app therapist notification
+  static sendTherapistNotification(to, name, notification) {
+    return MailService.send(
+      to,
+      notification.title,
+      `Hi ${name},\n\n${notification.body}\n\nOpen the app for details:\n${appUrl("/therapist/notifications")}`,
+      { purpose: notification.type }
+    );
+  }
+}
+
+MailService.getDriver = getDriver;
+
+module.exports = MailService;
@@ -0,0 +1,49 @@
+// services/mail/localDriver.js - Development/test sink: in-memory outbox, optional file
+const crypto = require("crypto");
+const fs = require("fs");
+const MailDriver = require("./mailDriver");
+
+const OUTBOX_LIMIT = 100;
+
+class LocalMailDriver extends MailDriver {
+  constructor(options = {}) {
+    super("local");
+    this.file = options.file || process.env.MAIL_OUTBOX_FILE || null;
+    this.outbox = [];
+  }
+
+  async send({ to, subject, text, purpose }) {
+    const entry = {
+      id: `local_${crypto.randomBytes(8).toString("hex")}`,
+      to,
+      subject,
+      text,
+      purpose,
+      sentAt: new Date(),
+    };
+
+    this.outbox.push(entry);
+    if (this.outbox.length > OUTBOX_LIMIT) {
+      this.outbox.shift();
+    }
+
+    if (this.file) {
+      await fs.promises.appendFile(this.file, `${JSON.stringify(entry)}\n`);
+    }
+
+    console.log(`Mail to ${to}: ${subject}\n${text}`);
+
+    return { providerMessageId: entry.id };
+  }
+
+  // Most recent message to an address, for tests
+  lastMessageTo(to) {
+    return [...this.outbox].reverse().find((entry) => entry.to === to) || null;
+  }
+
+  clear() {
+    this.outbox = [];
+  }
+}
+
+module.exports = LocalMailDriver;
@@ -0,0 +1,14 @@
+// services/mail/mailDriver.js - Interface every mail driver implements
+class MailDriver {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Deliver one message: { to, subject, text, purpose }.
+  // Returns { providerMessageId }; throws on failure.
+  async send(message) {
+    throw new Error(`${this.name}: send not implemented`);
+  }
+}
+
+module.exports = MailDriver;
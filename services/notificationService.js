@@ -0,0 +1,173 @@
+// services/notificationService.js - Queue notifications and deliver them by email
+const mongoose = require("mongoose");
+const Notification = require("../models/Notification");
+const Therapist = require("../models/Therapist");
+const MailService = require("./mail");
+const ServiceError = require("./serviceError");
+
+const MAX_EMAIL_ATTEMPTS = 3;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+const RECIPIENT_MODELS = {
+  Therapist,
+};
+
+class NotificationService {
+  // Store the notification and send its email in the background. Queuing
+  // the same event twice returns null instead of notifying twice.
+  static async queue(fields) {
+    let notification;
+    try {
+      notification = await Notification.create(fields);
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    NotificationService.deliver(notification._id).catch((error) => {
+      console.error(`Failed to deliver notification ${notification._id}:`, error);
+    });
+
+    return notification;
+  }
+
+  static queueMissedCall(callLog) {
+    const callType = callLog.callType === "video" ? "video" : "voice";
+    return NotificationService.queue({
+      recipientType: "Therapist",
+      recipientId: callLog.therapistId,
+      type: "missed_call",
+      title: "Missed call",
+      body: `You missed a ${callType} call from a client.`,
+      data: {
+        callId: callLog.callId,
+        callType: callLog.callType,
+        missedAt: callLog.endTime,
+      },
+      callLogId: callLog._id,
+    });
+  }
+
+  // Email a queued notification. Failed sends stay queued until
+  // MAX_EMAIL_ATTEMPTS; retryPending picks them up again.
+  static async deliver(notificationId) {
+    const notification = await Notification.findOneAndUpdate(
+      {
+        _id: notificationId,
+        "email.status": "pending",
+        "email.attempts": { $lt: MAX_EMAIL_ATTEMPTS },
+      },
+      { $inc: { "email.attempts": 1 } },
+      { new: true }
+    );
+    if (!notification) return null;
+
+    const Recipient = RECIPIENT_MODELS[notification.recipientType];
+    const recipient = Recipient
+      ? await Recipient.findById(notification.recipientId).select("name email")
+      : null;
+
+    if (!recipient || !recipient.email) {
+      notification.email.status = "skipped";
+      return notification.save();
+    }
+
+    try {
+      await MailService.sendTherapistNotification(
+        recipient.email,
+        recipient.name,
+        notification
+      );
+      notification.email.status = "sent";
+      notification.email.sentAt = new Date();
+      notification.email.lastError = null;
+    } catch (error) {
+      notification.email.lastError = error.message;
+      if (notification.email.attempts >= MAX_EMAIL_ATTEMPTS) {
+        notification.email.status = "failed";
+      }
+    }
+
+    return notification.save();
+  }
+
+  // Re-send emails that failed earlier; returns how many were attempted
+  static async retryPending({ olderThan = new Date(Date.now() - 60 * 1000) } = {}) {
+    const pending = await Notification.find({
+      "email.status": "pending",
+      "email.attempts": { $lt: MAX_EMAIL_ATTEMPTS },
+      updatedAt: { $lt: olderThan },
+    })
+      .select("_id")
+      .limit(100);
+
+    for (const { _id } of pending) {
+      await NotificationService.deliver(_id);
+    }
+    return pending.length;
+  }
+
+  // Newest first; ?before= is the createdAt of the last item seen
+  static async list(recipientType, recipientId, { limit, before, unreadOnly } = {}) {
+    const pageSize = Math.min(
+      Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+
+    const filter = { recipientType, recipientId };
+    if (before) {
+      const date = new Date(before);
+      if (Number.isNaN(date.getTime())) {
+        throw new ServiceError("Invalid before date");
+      }
+      filter.createdAt = { $lt: date };
+    }
+    if (unreadOnly) {
+      filter.readAt = null;
+    }
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .select("-email.lastError")
+        .sort({ createdAt: -1 })
+        .limit(pageSize),
+      Notification.countDocuments({ recipientType, recipientId, readAt: null }),
+    ]);
+
+    return { notifications, unreadCount };
+  }
+
+  static async markRead(recipientType, recipientId, notificationId) {
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      throw new ServiceError("Notification not found", 404);
+    }
+
+    const notification = await Notification.findOne({
+      _id: notificationId,
+      recipientType,
+      recipientId,
+    });
+    if (!notification) {
+      throw new ServiceError("Notification not found", 404);
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+    return notification;
+  }
+
+  static async markAllRead(recipientType, recipientId) {
+    const result = await Notification.updateMany(
+      { recipientType, recipientId, readAt: null },
+      { readAt: new Date() }
+    );
+    return result.modifiedCount;
+  }
+}
+
+NotificationService.MAX_EMAIL_ATTEMPTS = MAX_EMAIL_ATTEMPTS;
+
+module.exports = NotificationService;
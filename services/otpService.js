@@ -0,0 +1,216 @@
+// services/otpService.js - Phone OTP issuing and verification with abuse limits
+const crypto = require("crypto");
+const OtpChallenge = require("../models/OtpChallenge");
+const OtpSendLog = require("../models/OtpSendLog");
+const TokenService = require("./tokenService");
+const ServiceError = require("./serviceError");
+
+const envInt = (name, fallback) => parseInt(process.env[name] || fallback, 10);
+
+const OTP_TTL_MINUTES = envInt("OTP_TTL_MINUTES", "10");
+const SEND_COOLDOWN_SECONDS = envInt("OTP_SEND_COOLDOWN_SECONDS", "60");
+const MAX_SENDS_PER_PHONE_PER_HOUR = envInt("OTP_MAX_SENDS_PER_PHONE_PER_HOUR", "5");
+const MAX_SENDS_PER_IP_PER_HOUR = envInt("OTP_MAX_SENDS_PER_IP_PER_HOUR", "20");
+const MAX_VERIFY_ATTEMPTS = envInt("OTP_MAX_VERIFY_ATTEMPTS", "5");
+const LOCKOUT_MINUTES = envInt("OTP_LOCKOUT_MINUTES", "15");
+// Country code assumed for numbers entered without one
+const DEFAULT_COUNTRY_CODE = process.env.PHONE_DEFAULT_COUNTRY_CODE || "91";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Every verify failure gets the same message so callers can't tell a wrong
+// code from an expired one or from a number that never requested one
+const INVALID_OTP = "Invalid or expired OTP";
+
+const hashCode = (phoneNumber, code) =>
+  crypto
+    .createHmac("sha256", process.env.OTP_HASH_SECRET || TokenService.getJwtSecret())
+    .update(`${phoneNumber}:${code}`)
+    .digest("hex");
+
+const matches = (expectedHash, phoneNumber, code) => {
+  const expected = Buffer.from(expectedHash, "hex");
+  const received = Buffer.from(hashCode(phoneNumber, String(code)), "hex");
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const retryAfterSeconds = (until) =>
+  Math.max(1, Math.ceil((until.getTime() - Date.now()) / 1000));
+
+const tooMany = (message, until) =>
+  new ServiceError(message, 429, { retryAfter: retryAfterSeconds(until) });
+
+class OtpService {
+  static isValidPhoneNumber(phoneNumber) {
+    return typeof phoneNumber === "string" && /^\+[1-9]\d{7,14}$/.test(phoneNumber);
+  }
+
+  // Bring a phone number in any of the formats accounts were created with
+  // ("98765 43210", "098765-43210", "0091 98765 43210", "+91 (98765) 43210")
+  // to E.164. Numbers without a country code get DEFAULT_COUNTRY_CODE.
+  // Returns null if the result is still not a valid E.164 number.
+  static normalizePhoneNumber(phoneNumber) {
+    if (typeof phoneNumber !== "string") {
+      return null;
+    }
+
+    let digits = phoneNumber.trim().replace(/[\s\-().]/g, "");
+    if (digits.startsWith("+")) {
+      digits = digits.slice(1);
+    } else if (digits.startsWith("00")) {
+      digits = digits.slice(2);
+    } else if (/^\d+$/.test(digits)) {
+      // A national number, possibly with its trunk prefix
+      digits = digits.replace(/^0+/, "");
+      if (digits.length <= 10) {
+        digits = `${DEFAULT_COUNTRY_CODE}${digits}`;
+      }
+    }
+
+    const normalized = `+${digits}`;
+    return OtpService.isValidPhoneNumber(normalized) ? normalized : null;
+  }
+
+  // Create a fresh code for this phone, enforcing the cooldown and the
+  // per-phone / per-IP hourly limits. Returns the plain code for delivery.
+  static async issue(phoneNumber, ip) {
+    const now = new Date();
+    const hourAgo = new Date(now.getTime() - HOUR_MS);
+
+    const challenge = await OtpChallenge.findOne({ phoneNumber });
+
+    if (challenge?.lockedUntil && challenge.lockedUntil > now) {
+      throw tooMany("Too many attempts. Try again later.", challenge.lockedUntil);
+    }
+
+    if (challenge?.lastSentAt) {
+      const cooldownEnds = new Date(
+        challenge.lastSentAt.getTime() + SEND_COOLDOWN_SECONDS * 1000
+      );
+      if (cooldownEnds > now) {
+        throw tooMany("Please wait before requesting another OTP", cooldownEnds);
+      }
+    }
+
+    const [phoneSends, ipSends] = await Promise.all([
+      OtpSendLog.find({ phoneNumber, createdAt: { $gte: hourAgo } })
+        .sort({ createdAt: 1 })
+        .limit(MAX_SENDS_PER_PHONE_PER_HOUR),
+      ip
+        ? OtpSendLog.find({ ip, createdAt: { $gte: hourAgo } })
+            .sort({ createdAt: 1 })
+            .limit(MAX_SENDS_PER_IP_PER_HOUR)
+        : [],
+    ]);
+
+    // The window frees up an hour after the oldest send in it
+    if (phoneSends.length >= MAX_SENDS_PER_PHONE_PER_HOUR) {
+      throw tooMany(
+        "Too many OTP requests. Try again later.",
+        new Date(phoneSends[0].createdAt.getTime() + HOUR_MS)
+      );
+    }
+    if (ipSends.length >= MAX_SENDS_PER_IP_PER_HOUR) {
+      throw tooMany(
+        "Too many OTP requests. Try again later.",
+        new Date(ipSends[0].createdAt.getTime() + HOUR_MS)
+      );
+    }
+
+    const code = crypto.randomInt(100000, 1000000).toString();
+    const cooldownStart = new Date(now.getTime() - SEND_COOLDOWN_SECONDS * 1000);
+
+    // Store the code only if the phone is still out of cooldown and not
+    // locked, so concurrent requests can't all pass the checks above
+    let claimed = null;
+    try {
+      claimed = await OtpChallenge.findOneAndUpdate(
+        {
+          phoneNumber,
+          $and: [
+            { $or: [{ lastSentAt: null }, { lastSentAt: { $lte: cooldownStart } }] },
+            { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+          ],
+        },
+        {
+          codeHash: hashCode(phoneNumber, code),
+          expiresAt: new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000),
+          attempts: 0,
+          lockedUntil: null,
+          lastSentAt: now,
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // The upsert lost to a concurrent request that created the challenge
+      if (error.code !== 11000) throw error;
+    }
+    if (!claimed) {
+      throw tooMany(
+        "Please wait before requesting another OTP",
+        new Date(now.getTime() + SEND_COOLDOWN_SECONDS * 1000)
+      );
+    }
+    await OtpSendLog.create({ phoneNumber, ip: ip || null });
+
+    return code;
+  }
+
+  // Check a code. The code is single-use; after MAX_VERIFY_ATTEMPTS wrong
+  // guesses it is invalidated and the phone is locked out for a while.
+  static async verify(phoneNumber, code) {
+    if (!OtpService.isValidPhoneNumber(phoneNumber) || !code) {
+      throw new ServiceError(INVALID_OTP);
+    }
+
+    const now = new Date();
+    const challenge = await OtpChallenge.findOne({ phoneNumber });
+
+    if (challenge?.lockedUntil && challenge.lockedUntil > now) {
+      throw tooMany("Too many attempts. Try again later.", challenge.lockedUntil);
+    }
+
+    // Claim an attempt before comparing, so parallel guesses can't all read
+    // the challenge before any of them is counted
+    const claimed = await OtpChallenge.findOneAndUpdate(
+      {
+        phoneNumber,
+        codeHash: { $ne: null },
+        expiresAt: { $gt: now },
+        attempts: { $lt: MAX_VERIFY_ATTEMPTS },
+      },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new ServiceError(INVALID_OTP);
+    }
+
+    if (matches(claimed.codeHash, phoneNumber, code)) {
+      // Consume atomically so the same code can't log in twice
+      const consumed = await OtpChallenge.findOneAndUpdate(
+        { _id: claimed._id, codeHash: claimed.codeHash },
+        { codeHash: null, expiresAt: null, attempts: 0 }
+      );
+      if (!consumed) {
+        throw new ServiceError(INVALID_OTP);
+      }
+      return true;
+    }
+
+    if (claimed.attempts >= MAX_VERIFY_ATTEMPTS) {
+      const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+      await OtpChallenge.updateOne(
+        { _id: claimed._id, codeHash: claimed.codeHash },
+        { codeHash: null, expiresAt: null, lockedUntil }
+      );
+      throw tooMany("Too many attempts. Try again later.", lockedUntil);
+    }
+
+    throw new ServiceError(INVALID_OTP);
+  }
+}
+
+OtpService.OTP_TTL_MINUTES = OTP_TTL_MINUTES;
+
+module.exports = OtpService;
@@ -0,0 +1,78 @@
+// services/payments/fakeProvider.js - Local payment provider for development and tests
+const crypto = require("crypto");
+const PaymentProvider = require("./paymentProvider");
+
+const SIGNATURE_HEADER = "x-fake-signature";
+
+class FakePaymentProvider extends PaymentProvider {
+  constructor(options = {}) {
+    super("fake");
+    // Without a configured secret only this process can sign webhooks,
+    // which is all the /fake/complete helper needs
+    this.webhookSecret =
+      options.webhookSecret ||
+      process.env.FAKE_PAYMENT_WEBHOOK_SECRET ||
+      crypto.randomBytes(32).toString("hex");
+  }
+
+  async createOrder(order) {
+    const providerOrderId = `fake_order_${crypto.randomBytes(8).toString("hex")}`;
+
+    return {
+      providerOrderId,
+      checkoutUrl: null,
+      clientSecret: providerOrderId,
+    };
+  }
+
+  sign(rawBody) {
+    return crypto
+      .createHmac("sha256", this.webhookSecret)
+      .update(rawBody)
+      .digest("hex");
+  }
+
+  verifyWebhookSignature(rawBody, headers) {
+    const signature = headers[SIGNATURE_HEADER];
+    if (!rawBody || !signature) return false;
+
+    const expected = Buffer.from(this.sign(rawBody));
+    const received = Buffer.from(String(signature));
+
+    return (
+      expected.length === received.length &&
+      crypto.timingSafeEqual(expected, received)
+    );
+  }
+
+  parseWebhookEvent(body) {
+    return {
+      providerOrderId: body.orderId,
+      providerPaymentId: body.paymentId || null,
+      status: body.status,
+      failureReason: body.failureReason || null,
+    };
+  }
+
+  // Build a signed webhook request the way the real provider would send it
+  buildWebhook(providerOrderId, status = "paid", failureReason = null) {
+    const body = {
+      orderId: providerOrderId,
+      paymentId:
+        status === "paid"
+          ? `fake_pay_${crypto.randomBytes(8).toString("hex")}`
+          : null,
+      status,
+      failureReason,
+    };
+    const rawBody = Buffer.from(JSON.stringify(body));
+
+    return {
+      body,
+      rawBody,
+      headers: { [SIGNATURE_HEADER]: this.sign(rawBody) },
+    };
+  }
+}
+
+module.exports = FakePaymentProvider;
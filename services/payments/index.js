@@ -0,0 +1,77 @@
+// services/payments/index.js - Payment provider registry and coin pack catalogue
+const FakePaymentProvider = require("./fakeProvider");
+
+// Unset NODE_ENV counts as development, as elsewhere in this app
+const isDevelopment = () =>
+  ["development", "test"].includes(process.env.NODE_ENV || "development");
+
+// Anyone can sign a fake webhook for their own order, so the fake provider
+// only exists in development and tests
+const FAKE_PROVIDER_ENABLED = isDevelopment();
+
+const PROVIDERS = {
+  ...(FAKE_PROVIDER_ENABLED && { fake: () => new FakePaymentProvider() }),
+};
+
+// Coin packs on sale. Override with a JSON array in COIN_PACKS.
+const DEFAULT_COIN_PACKS = [
+  { id: "starter", coins: 100, amount: 9900, currency: "INR" },
+  { id: "standard", coins: 500, amount: 44900, currency: "INR" },
+  { id: "premium", coins: 1200, amount: 99900, currency: "INR" },
+];
+
+const COIN_PACKS = process.env.COIN_PACKS
+  ? JSON.parse(process.env.COIN_PACKS)
+  : DEFAULT_COIN_PACKS;
+
+const instances = new Map();
+
+// PAYMENT_PROVIDER picks the provider; development falls back to the fake one
+const getProviderName = () =>
+  process.env.PAYMENT_PROVIDER || (FAKE_PROVIDER_ENABLED ? "fake" : null);
+
+const getPaymentProvider = (name = getProviderName()) => {
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, PROVIDERS[name]());
+  }
+  return instances.get(name);
+};
+
+// Set at startup when development runs with a broken provider setup
+let disabled = false;
+
+const isPaymentConfigured = () => !disabled && Boolean(getProviderName());
+
+// Called at startup: outside development, refuse to run with a provider
+// that is unknown, not allowed in this environment or missing its
+// configuration. Development only warns and disables purchases, as does
+// a missing PAYMENT_PROVIDER anywhere.
+const assertConfigured = () => {
+  if (!isPaymentConfigured()) {
+    console.warn("PAYMENT_PROVIDER is not set - coin purchases are disabled");
+    return;
+  }
+
+  try {
+    getPaymentProvider();
+  } catch (error) {
+    if (!isDevelopment()) throw error;
+    disabled = true;
+    console.warn(`${error.message} - coin purchases are disabled`);
+  }
+};
+
+const getCoinPack = (packId) => COIN_PACKS.find((pack) => pack.id === packId);
+
+module.exports = {
+  COIN_PACKS,
+  FAKE_PROVIDER_ENABLED,
+  getPaymentProvider,
+  getCoinPack,
+  isPaymentConfigured,
+  assertConfigured,
+};
@@ -0,0 +1,25 @@
+// services/payments/paymentProvider.js - Interface every payment provider adapter implements
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Create the order on the provider side.
+  // Returns { providerOrderId, checkoutUrl?, clientSecret? } for the app.
+  async createOrder(order) {
+    throw new Error(`${this.name}: createOrder not implemented`);
+  }
+
+  // Check the webhook signature against the raw request body
+  verifyWebhookSignature(rawBody, headers) {
+    throw new Error(`${this.name}: verifyWebhookSignature not implemented`);
+  }
+
+  // Normalise a verified webhook payload into
+  // { providerOrderId, providerPaymentId, status: "paid" | "failed" | "pending", failureReason }
+  parseWebhookEvent(body) {
+    throw new Error(`${this.name}: parseWebhookEvent not implemented`);
+  }
+}
+
+module.exports = PaymentProvider;
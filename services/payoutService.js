@@ -0,0 +1,182 @@
+// services/payoutService.js - Therapist withdrawal requests and admin review
+const mongoose = require("mongoose");
+const Therapist = require("../models/Therapist");
+const Withdrawal = require("../models/Withdrawal");
+const LedgerService = require("./ledgerService");
+const ServiceError = require("./serviceError");
+
+const MIN_WITHDRAWAL_COINS = parseInt(
+  process.env.MIN_WITHDRAWAL_COINS || "500",
+  10
+);
+
+const hasPayoutDetails = (details) => {
+  if (!details || !details.method) return false;
+  if (details.method === "upi") return Boolean(details.upiId);
+  return Boolean(
+    details.accountHolderName && details.accountNumber && details.ifscCode
+  );
+};
+
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+class PayoutService {
+  // Lock the requested coins by moving them out of totalEarningsCoins into
+  // a pending withdrawal. Rejected or cancelled requests give them back.
+  static async requestWithdrawal(therapistId, amountCoins) {
+    if (!Number.isInteger(amountCoins) || amountCoins < MIN_WITHDRAWAL_COINS) {
+      throw new ServiceError(
+        `Minimum withdrawal is ${MIN_WITHDRAWAL_COINS} coins`,
+        400,
+        { minimum: MIN_WITHDRAWAL_COINS }
+      );
+    }
+
+    return withTransaction(async (session) => {
+      const therapist = await Therapist.findById(therapistId).session(session);
+      if (!therapist) {
+        throw new ServiceError("Therapist not found", 404);
+      }
+
+      if (!hasPayoutDetails(therapist.payoutDetails)) {
+        throw new ServiceError("Add payout details before withdrawing");
+      }
+
+      const openRequest = await Withdrawal.exists({
+        therapistId,
+        status: { $in: Withdrawal.OPEN_STATUSES },
+      }).session(session);
+      if (openRequest) {
+        throw new ServiceError("A withdrawal request is already in progress", 409);
+      }
+
+      if (therapist.totalEarningsCoins < amountCoins) {
+        throw new ServiceError("Insufficient earnings", 400, {
+          available: therapist.totalEarningsCoins,
+        });
+      }
+
+      const { method, accountHolderName, accountNumber, ifscCode, upiId } =
+        therapist.payoutDetails;
+
+      const [withdrawal] = await Withdrawal.create(
+        [
+          {
+            therapistId,
+            amountCoins,
+            payoutDetails: { method, accountHolderName, accountNumber, ifscCode, upiId },
+          },
+        ],
+        { session }
+      );
+
+      await LedgerService.record(
+        {
+          ownerType: "Therapist",
+          ownerId: therapistId,
+          type: "payout",
+          amount: -amountCoins,
+          idempotencyKey: `withdrawal:${withdrawal._id}:lock`,
+          description: "Withdrawal requested",
+          metadata: { withdrawalId: withdrawal._id },
+        },
+        session
+      );
+
+      return withdrawal;
+    });
+  }
+
+  static cancelWithdrawal(therapistId, withdrawalId) {
+    return PayoutService._close(
+      { _id: withdrawalId, therapistId, status: "pending" },
+      { status: "cancelled" },
+      "Withdrawal cancelled"
+    );
+  }
+
+  static approveWithdrawal(adminId, withdrawalId) {
+    return PayoutService._transition(
+      { _id: withdrawalId, status: "pending" },
+      { status: "approved", reviewedBy: adminId, reviewedAt: new Date() }
+    );
+  }
+
+  static rejectWithdrawal(adminId, withdrawalId, reason) {
+    return PayoutService._close(
+      { _id: withdrawalId, status: { $in: Withdrawal.OPEN_STATUSES } },
+      {
+        status: "rejected",
+        reviewedBy: adminId,
+        reviewedAt: new Date(),
+        rejectionReason: reason || null,
+      },
+      "Withdrawal rejected"
+    );
+  }
+
+  static markWithdrawalPaid(adminId, withdrawalId, paymentReference) {
+    return PayoutService._transition(
+      { _id: withdrawalId, status: "approved" },
+      {
+        status: "paid",
+        reviewedBy: adminId,
+        paidAt: new Date(),
+        paymentReference: paymentReference || null,
+      }
+    );
+  }
+
+  static async _transition(filter, update, session = null) {
+    const withdrawal = await Withdrawal.findOneAndUpdate(filter, update, {
+      new: true,
+      session,
+    });
+
+    if (!withdrawal) {
+      throw new ServiceError(
+        "Withdrawal not found or not in a state that allows this action",
+        409
+      );
+    }
+    return withdrawal;
+  }
+
+  // Close a request without paying it and release the locked coins
+  static _close(filter, update, description) {
+    return withTransaction(async (session) => {
+      const withdrawal = await PayoutService._transition(filter, update, session);
+
+      await LedgerService.record(
+        {
+          ownerType: "Therapist",
+          ownerId: withdrawal.therapistId,
+          type: "payout",
+          amount: withdrawal.amountCoins,
+          idempotencyKey: `withdrawal:${withdrawal._id}:release`,
+          description,
+          metadata: { withdrawalId: withdrawal._id },
+        },
+        session
+      );
+
+      return withdrawal;
+    });
+  }
+}
+
+PayoutService.MIN_WITHDRAWAL_COINS = MIN_WITHDRAWAL_COINS;
+PayoutService.hasPayoutDetails = hasPayoutDetails;
+
+module.exports = PayoutService;
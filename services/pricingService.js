@@ -0,0 +1,152 @@
+// services/pricingService.js - Single source of truth for call rates and cost maths
+const PricingPlan = require("../models/PricingPlan");
+
+const CALL_TYPES = {
+  VOICE: "voice",
+  VIDEO: "video",
+};
+
+// Used when no PricingPlan matches (fresh install, or calls logged before
+// plans existed)
+const DEFAULT_PRICING = {
+  [CALL_TYPES.VOICE]: { costPerMinute: 5, commissionPercent: 50, minimumMinutes: 1 },
+  [CALL_TYPES.VIDEO]: { costPerMinute: 8, commissionPercent: 50, minimumMinutes: 1 },
+};
+
+const toRate = (plan, callType) => {
+  if (!plan) {
+    return { planId: null, ...DEFAULT_PRICING[callType] };
+  }
+
+  return {
+    planId: plan._id,
+    costPerMinute: plan.costPerMinute,
+    commissionPercent: plan.commissionPercent,
+    minimumMinutes: plan.minimumMinutes,
+  };
+};
+
+const activePlanQuery = (at) => ({
+  isActive: true,
+  effectiveFrom: { $lte: at },
+});
+
+class PricingService {
+  static isValidCallType(callType) {
+    return Object.values(CALL_TYPES).includes(callType);
+  }
+
+  // Rate that applies to a call with this therapist at the given time:
+  // the therapist's own plan if any, else the platform default plan.
+  // The returned object is what CallLog.pricing snapshots.
+  static async getRate(therapistId, callType, at = new Date()) {
+    const plan =
+      (await PricingPlan.findOne({
+        ...activePlanQuery(at),
+        therapistId,
+        callType,
+      }).sort({ effectiveFrom: -1 })) ||
+      (await PricingPlan.findOne({
+        ...activePlanQuery(at),
+        therapistId: null,
+        callType,
+      }).sort({ effectiveFrom: -1 }));
+
+    return toRate(plan, callType);
+  }
+
+  // { therapistId: { voice: rate, video: rate } } for a directory listing
+  static async getRatesForTherapists(therapistIds, at = new Date()) {
+    const plans = await PricingPlan.find({
+      ...activePlanQuery(at),
+      therapistId: { $in: [...therapistIds, null] },
+    }).sort({ effectiveFrom: -1 });
+
+    // Plans are newest first, so the first match per key wins
+    const latest = new Map();
+    for (const plan of plans) {
+      const key = `${plan.therapistId || "default"}:${plan.callType}`;
+      if (!latest.has(key)) {
+        latest.set(key, plan);
+      }
+    }
+
+    const rates = {};
+    for (const therapistId of therapistIds) {
+      rates[therapistId] = {};
+      for (const callType of Object.values(CALL_TYPES)) {
+        const plan =
+          latest.get(`${therapistId}:${callType}`) ||
+          latest.get(`default:${callType}`);
+        rates[therapistId][callType] = toRate(plan, callType);
+      }
+    }
+    return rates;
+  }
+
+  // Aggregation stages that add `price` to Therapist documents: the
+  // callType costPerMinute that applies at `at`, with the same fallback to
+  // the default plan as getRate. Lets the directory filter and sort by
+  // price in the database.
+  static async priceStages(callType, at = new Date()) {
+    const fallback = await PricingService.getRate(null, callType, at);
+
+    return [
+      {
+        $lookup: {
+          from: PricingPlan.collection.name,
+          let: { therapistId: "$_id" },
+          pipeline: [
+            {
+              $match: {
+                ...activePlanQuery(at),
+                callType,
+                $expr: { $eq: ["$therapistId", "$$therapistId"] },
+              },
+            },
+            { $sort: { effectiveFrom: -1 } },
+            { $limit: 1 },
+            { $project: { costPerMinute: 1 } },
+          ],
+          as: "pricingPlan",
+        },
+      },
+      {
+        $addFields: {
+          price: {
+            $ifNull: [
+              { $arrayElemAt: ["$pricingPlan.costPerMinute", 0] },
+              fallback.costPerMinute,
+            ],
+          },
+        },
+      },
+      { $project: { pricingPlan: 0 } },
+    ];
+  }
+
+  // Bill a duration against a rate snapshot. Minutes round up, with the
+  // plan's minimum applied; the therapist gets the post-commission share.
+  static calculateCost(durationSeconds, rate) {
+    const durationMinutes = Math.max(
+      rate.minimumMinutes || 1,
+      Math.ceil(durationSeconds / 60)
+    );
+    const costInCoins = durationMinutes * rate.costPerMinute;
+    const therapistEarningsCoins = Math.floor(
+      (costInCoins * (100 - rate.commissionPercent)) / 100
+    );
+
+    return {
+      durationMinutes,
+      costInCoins,
+      therapistEarningsCoins,
+      platformCommissionCoins: costInCoins - therapistEarningsCoins,
+    };
+  }
+}
+
+PricingService.CALL_TYPES = CALL_TYPES;
+PricingService.DEFAULT_PRICING = DEFAULT_PRICING;
+
+module.exports = PricingService;
@@ -0,0 +1,189 @@
+// services/promoService.js - Promo code validation, discount maths and redemption
+const PromoCode = require("../models/PromoCode");
+const PromoRedemption = require("../models/PromoRedemption");
+const CallLog = require("../models/CallLog");
+const ServiceError = require("./serviceError");
+const { COMPLETED_STATUSES } = require("./callStateMachine");
+
+class PromoService {
+  // Check a code can be used by this user right now. Throws ServiceError
+  // with a user-facing message; returns the PromoCode otherwise.
+  // excludeCallLogId keeps the call being settled out of the first-call check.
+  static async validate(code, userId, { session = null, excludeCallLogId } = {}) {
+    const now = new Date();
+    const promo = await PromoCode.findOne({
+      code: String(code || "").trim().toUpperCase(),
+    }).session(session);
+
+    if (!promo || !promo.isActive || promo.validFrom > now) {
+      throw new ServiceError("Invalid promo code");
+    }
+
+    if (promo.expiresAt && promo.expiresAt <= now) {
+      throw new ServiceError("Promo code has expired");
+    }
+
+    if (
+      promo.maxRedemptions !== null &&
+      promo.redemptionCount >= promo.maxRedemptions
+    ) {
+      throw new ServiceError("Promo code is no longer available");
+    }
+
+    const userRedemptions = await PromoRedemption.countDocuments({
+      promoCodeId: promo._id,
+      userId,
+    }).session(session);
+    if (
+      promo.maxRedemptionsPerUser !== null &&
+      userRedemptions >= promo.maxRedemptionsPerUser
+    ) {
+      throw new ServiceError("You have already used this promo code");
+    }
+
+    if (promo.firstCallOnly) {
+      const previousCall = await CallLog.exists({
+        userId,
+        status: { $in: COMPLETED_STATUSES },
+        durationMinutes: { $gt: 0 },
+        ...(excludeCallLogId && { _id: { $ne: excludeCallLogId } }),
+      }).session(session);
+      if (previousCall) {
+        throw new ServiceError("Promo code is valid on your first call only");
+      }
+    }
+
+    return promo;
+  }
+
+  // The promo terms copied onto CallLog.promo when a call is initiated
+  static snapshot(promo) {
+    return {
+      promoCodeId: promo._id,
+      code: promo.code,
+      discountType: promo.discountType,
+      discountValue: promo.discountValue,
+      maxDiscountCoins: promo.maxDiscountCoins,
+      fundedBy: promo.fundedBy,
+    };
+  }
+
+  // Coins knocked off costData by a promo snapshot. Never exceeds the cost.
+  static calculateDiscount(promo, costData, rate) {
+    if (!promo || !promo.promoCodeId || costData.costInCoins <= 0) {
+      return 0;
+    }
+
+    let discount = 0;
+    if (promo.discountType === "percent") {
+      discount = Math.floor((costData.costInCoins * promo.discountValue) / 100);
+      if (promo.maxDiscountCoins !== null && promo.maxDiscountCoins !== undefined) {
+        discount = Math.min(discount, promo.maxDiscountCoins);
+      }
+    } else if (promo.discountType === "fixed_coins") {
+      discount = promo.discountValue;
+    } else if (promo.discountType === "free_minutes") {
+      discount =
+        Math.min(promo.discountValue, costData.durationMinutes) *
+        rate.costPerMinute;
+    }
+
+    return Math.max(0, Math.min(discount, costData.costInCoins));
+  }
+
+  // Apply the call's promo to costData inside the settlement transaction.
+  // Limits are re-checked here: if the code ran out between initiate and
+  // settlement the call is billed at full price.
+  // Returns { costData, promo } with promo being the CallLog.promo update.
+  static async applyToSettlement(callLog, costData, session) {
+    const snapshot = callLog.toObject().promo;
+    if (!snapshot || !snapshot.promoCodeId || costData.costInCoins <= 0) {
+      return { costData, promo: null };
+    }
+
+    const notApplied = (reason) => {
+      console.log(`Promo ${snapshot.code} not applied to ${callLog.callId}: ${reason}`);
+      return {
+        costData,
+        promo: { ...snapshot, discountCoins: 0, notAppliedReason: reason },
+      };
+    };
+
+    try {
+      await PromoService.validate(snapshot.code, callLog.userId, {
+        session,
+        excludeCallLogId: callLog._id,
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return notApplied(error.message);
+      }
+      throw error;
+    }
+
+    const discountCoins = PromoService.calculateDiscount(
+      snapshot,
+      costData,
+      callLog.getRate()
+    );
+
+    const claimed = await PromoCode.findOneAndUpdate(
+      {
+        _id: snapshot.promoCodeId,
+        $or: [
+          { maxRedemptions: null },
+          { $expr: { $lt: ["$redemptionCount", "$maxRedemptions"] } },
+        ],
+      },
+      { $inc: { redemptionCount: 1 } },
+      { new: true, session }
+    );
+    if (!claimed) {
+      return notApplied("Promo code is no longer available");
+    }
+
+    await PromoRedemption.create(
+      [
+        {
+          promoCodeId: snapshot.promoCodeId,
+          userId: callLog.userId,
+          callLogId: callLog._id,
+          discountCoins,
+          fundedBy: snapshot.fundedBy,
+        },
+      ],
+      { session }
+    );
+
+    const costInCoins = costData.costInCoins - discountCoins;
+
+    // Platform-funded: therapist still earns on the full price.
+    // Therapist-funded: the discount comes out of their share first.
+    let therapistEarningsCoins = costData.therapistEarningsCoins;
+    if (snapshot.fundedBy === "therapist") {
+      therapistEarningsCoins = Math.max(0, therapistEarningsCoins - discountCoins);
+    }
+
+    const absorbedByTherapist =
+      costData.therapistEarningsCoins - therapistEarningsCoins;
+
+    return {
+      costData: {
+        ...costData,
+        costInCoins,
+        therapistEarningsCoins,
+        platformCommissionCoins: costInCoins - therapistEarningsCoins,
+        discountCoins,
+      },
+      promo: {
+        ...snapshot,
+        discountCoins,
+        grossCostInCoins: costData.costInCoins,
+        absorbedByTherapist,
+        absorbedByPlatform: discountCoins - absorbedByTherapist,
+      },
+    };
+  }
+}
+
+module.exports = PromoService;
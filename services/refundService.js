@@ -0,0 +1,177 @@
+// services/refundService.js - Call disputes and admin-granted refunds
+const mongoose = require("mongoose");
+const CallLog = require("../models/CallLog");
+const Dispute = require("../models/Dispute");
+const Therapist = require("../models/Therapist");
+const LedgerService = require("./ledgerService");
+const ServiceError = require("./serviceError");
+const { COMPLETED_STATUSES } = require("./callStateMachine");
+
+class RefundService {
+  static async raiseDispute(userId, callId, { reason, technicalIssues = [] }) {
+    const callLog = await CallLog.findOne({ callId, userId });
+    if (!callLog) {
+      throw new ServiceError("Call not found", 404);
+    }
+
+    if (!COMPLETED_STATUSES.includes(callLog.status) || !callLog.billing.wasCharged) {
+      throw new ServiceError("Only completed, charged calls can be disputed");
+    }
+
+    if (callLog.billing.refundProcessedAt) {
+      throw new ServiceError("Call has already been refunded", 409);
+    }
+
+    try {
+      const dispute = await Dispute.create({
+        callLogId: callLog._id,
+        callId: callLog.callId,
+        userId: callLog.userId,
+        therapistId: callLog.therapistId,
+        reason,
+        technicalIssues,
+      });
+
+      if (technicalIssues.length > 0) {
+        await CallLog.updateOne(
+          { _id: callLog._id },
+          { $addToSet: { "feedback.technicalIssues": { $each: technicalIssues } } }
+        );
+      }
+
+      return dispute;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ServiceError("A dispute already exists for this call", 409);
+      }
+      throw error;
+    }
+  }
+
+  // Refund the user and claw back the matching share of the therapist's
+  // earnings. Omit amount for a full refund.
+  static async grantRefund(adminId, disputeId, { amount, note } = {}) {
+    const session = await mongoose.startSession();
+
+    try {
+      let result;
+
+      await session.withTransaction(async () => {
+        const dispute = await Dispute.findOne({
+          _id: disputeId,
+          status: "open",
+        }).session(session);
+        if (!dispute) {
+          throw new ServiceError("Open dispute not found", 404);
+        }
+
+        const callLog = await CallLog.findById(dispute.callLogId).session(session);
+        if (callLog.billing.refundProcessedAt) {
+          throw new ServiceError("Call has already been refunded", 409);
+        }
+
+        const charged = callLog.costInCoins;
+        const refundAmount = amount === undefined ? charged : amount;
+
+        if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > charged) {
+          throw new ServiceError(
+            `Refund must be a whole number between 1 and ${charged} coins`
+          );
+        }
+
+        // Earnings were worked out on the cost before any promo, so the
+        // clawback takes the refunded share of that gross cost. It never
+        // exceeds the refund itself or what the therapist earned.
+        const gross = callLog.promo?.grossCostInCoins || charged;
+        const clawback = Math.min(
+          Math.floor((callLog.therapistEarningsCoins * refundAmount) / gross),
+          refundAmount,
+          callLog.therapistEarningsCoins
+        );
+
+        // Coins already withdrawn can't be taken back; settle those by hand
+        const therapist = await Therapist.findById(callLog.therapistId)
+          .select("totalEarningsCoins")
+          .session(session);
+        const available = therapist ? therapist.totalEarningsCoins : 0;
+        if (clawback > available) {
+          throw new ServiceError(
+            "Therapist's available earnings cannot cover the clawback",
+            409,
+            { clawback, available }
+          );
+        }
+        const reason = note || dispute.reason;
+
+        await callLog.processRefund(refundAmount, reason, clawback);
+
+        await LedgerService.record(
+          {
+            ownerType: "User",
+            ownerId: callLog.userId,
+            type: "refund",
+            amount: refundAmount,
+            callLogId: callLog._id,
+            idempotencyKey: `refund:${callLog.callId}:user`,
+            description: "Call refund",
+            metadata: { disputeId: dispute._id },
+          },
+          session
+        );
+
+        if (clawback > 0) {
+          await LedgerService.record(
+            {
+              ownerType: "Therapist",
+              ownerId: callLog.therapistId,
+              type: "refund",
+              amount: -clawback,
+              callLogId: callLog._id,
+              idempotencyKey: `refund:${callLog.callId}:therapist`,
+              description: "Call refund - earnings reversed",
+              metadata: { disputeId: dispute._id },
+            },
+            session
+          );
+        }
+
+        dispute.status = "refunded";
+        dispute.resolution = {
+          refundType: refundAmount === charged ? "full" : "partial",
+          refundAmount,
+          therapistClawbackCoins: clawback,
+          note: note || null,
+          resolvedBy: adminId,
+          resolvedAt: new Date(),
+        };
+        await dispute.save({ session });
+
+        result = { dispute, callLog };
+      });
+
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  static async rejectDispute(adminId, disputeId, note) {
+    const dispute = await Dispute.findOneAndUpdate(
+      { _id: disputeId, status: "open" },
+      {
+        status: "rejected",
+        "resolution.note": note || null,
+        "resolution.resolvedBy": adminId,
+        "resolution.resolvedAt": new Date(),
+      },
+      { new: true }
+    );
+
+    if (!dispute) {
+      throw new ServiceError("Open dispute not found", 404);
+    }
+    return dispute;
+  }
+}
+
+module.exports = RefundService;
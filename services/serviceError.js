@@ -0,0 +1,11 @@
+// services/serviceError.js - Expected business-rule failures raised by services
+class ServiceError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = "ServiceError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = ServiceError;
@@ -1,8 +1,30 @@
 // services/signalingServer.js - WebRTC Signaling Server
+const os = require('os');
 const { Server } = require('socket.io');
+const CallMeter = require('./callMeter');
+const CallLog = require('../models/CallLog');
+const CallStateMachine = require('./callStateMachine');
+const CallSettlementService = require('./callSettlementService');
+const TokenService = require('./tokenService');
+const TherapistAccountService = require('./therapistAccountService');
+const NotificationService = require('./notificationService');
+const CallQualityService = require('./callQualityService');
+const ServiceError = require('./serviceError');
+const { getStore } = require('./signalingStore');
+
+// How long a call may ring before the server gives up on it
+const RING_TIMEOUT_MS = parseInt(process.env.RING_TIMEOUT_SECONDS || '45', 10) * 1000;
+// How long a participant who dropped out of an answered call has to rejoin
+const RECONNECT_GRACE_MS = parseInt(process.env.RECONNECT_GRACE_SECONDS || '30', 10) * 1000;
+
+// Client-supplied device metadata, trimmed to something safe to keep
+const deviceInfo = (value) => (value ? String(value).slice(0, 100) : null);
 
 class SignalingServer {
-  constructor(httpServer) {
+  // Presence and active calls live in the signaling store, so several
+  // instances can share them (see services/signalingStore). The instance
+  // ID must be stable across restarts and unique per running process.
+  constructor(httpServer, { store = getStore() } = {}) {
     this.io = new Server(httpServer, {
       cors: {
         origin: "*",
@@ -10,241 +32,855 @@ class SignalingServer {
       }
     });
     
-    this.connectedUsers = new Map(); // userID -> socketID
-    this.userSockets = new Map(); // socketID -> userInfo
-    this.activeCalls = new Map(); // callID -> callInfo
+    this.store = store;
+    const adapter = store.createAdapter();
+    if (adapter) {
+      this.io.adapter(adapter);
+    }
+    this.instanceId =
+      process.env.SIGNALING_INSTANCE_ID || `${os.hostname()}:${process.env.PORT || 3000}`;
     
+    // Timers live on the instance that set them. When they fire they
+    // re-check the shared call state, so a call ended or resumed through
+    // another instance just turns them into no-ops.
+    this.ringTimers = new Map(); // callID -> timeout for unanswered calls
+    this.graceTimers = new Map(); // `${callID}:${userID}` -> timeout for dropped participants
+    this.callMeter = new CallMeter(this);
+    
+    this.io.use((socket, next) => this.authenticate(socket, next));
     this.setupEventHandlers();
+    
+    this.recoverInstance().catch((error) => {
+      console.error('Failed to recover signaling state:', error);
+    });
+  }
+  
+  // Handshake auth: the same access token as the REST API, sent as
+  // `auth: { token }` or an `Authorization: Bearer` header. Identity is
+  // fixed for the life of the socket; clients reconnect after refreshing.
+  // Therapists get the same account checks as the REST API, so a
+  // suspended therapist can't reconnect on a still-valid token.
+  async authenticate(socket, next) {
+    const token =
+      socket.handshake.auth?.token ||
+      socket.handshake.headers.authorization?.replace('Bearer ', '');
+    
+    if (!token) {
+      const error = new Error('No token provided');
+      error.data = { code: 'NO_TOKEN' };
+      return next(error);
+    }
+    
+    let decoded;
+    try {
+      decoded = TokenService.verifyAccessToken(token);
+    } catch (err) {
+      const expired = err.name === 'TokenExpiredError';
+      const error = new Error(expired ? 'Token expired' : 'Invalid token');
+      error.data = { code: expired ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN' };
+      return next(error);
+    }
+    
+    if (decoded.role === 'therapist') {
+      try {
+        await TherapistAccountService.assertAccess(decoded.id, decoded.iat);
+      } catch (err) {
+        if (!(err instanceof ServiceError)) {
+          console.error('Therapist socket auth error:', err);
+        }
+        const error = new Error(err instanceof ServiceError ? err.message : 'Failed to authorize');
+        error.data = { code: err.details?.code || 'UNAUTHORIZED' };
+        return next(error);
+      }
+    }
+    
+    socket.data.user = {
+      userID: String(decoded.id),
+      userType: decoded.role,
+      sessionId: decoded.sid
+    };
+    next();
+  }
+  
+  // Register a socket event handler. Store and database failures are
+  // logged and reported to the client instead of going unhandled.
+  handle(socket, event, handler) {
+    socket.on(event, async (data) => {
+      try {
+        await handler(data || {});
+      } catch (error) {
+        console.error(`Signaling ${event} failed for ${socket.id}:`, error);
+        socket.emit('call-error', { error: 'Something went wrong', callID: data?.callID });
+      }
+    });
+  }
+  
+  // Look up a call the socket's user takes part in. Emits call-error and
+  // returns null when the call is unknown, belongs to someone else, or is
+  // bound to another of the user's devices (unless anyDevice is set).
+  async getParticipantCall(socket, callID, { anyDevice = false } = {}) {
+    const call = callID ? await this.store.getCall(callID) : null;
+    const { userID } = socket.data.user;
+    
+    if (!call || (call.callerID !== userID && call.calleeID !== userID)) {
+      socket.emit('call-error', { error: 'Call not found', callID });
+      return null;
+    }
+    
+    const boundSocketID = call.sockets[userID];
+    if (!anyDevice && boundSocketID && boundSocketID !== socket.id) {
+      socket.emit('call-error', { error: 'Call is active on another device', callID });
+      return null;
+    }
+    
+    return call;
+  }
+  
+  getOtherParticipant(call, userID) {
+    return call.callerID === userID ? call.calleeID : call.callerID;
+  }
+  
+  // Relay a WebRTC payload to the other side of the call. The target always
+  // comes from the call itself, never from the sender.
+  async relayToPeer(socket, event, data, field) {
+    const { callID, targetUserID } = data;
+    const call = await this.getParticipantCall(socket, callID);
+    if (!call) return;
+    
+    const { userID } = socket.data.user;
+    const peerID = this.getOtherParticipant(call, userID);
+    
+    if (targetUserID && targetUserID !== peerID) {
+      socket.emit('call-error', { error: 'Target is not in this call', callID });
+      return;
+    }
+    
+    // Only the device that took the call gets the media negotiation
+    const targetSocketID = call.sockets[peerID];
+    
+    if (targetSocketID) {
+      this.io.to(targetSocketID).emit(event, {
+        callID,
+        [field]: data[field],
+        senderID: userID
+      });
+    }
   }
   
   setupEventHandlers() {
     this.io.on('connection', (socket) => {
-      console.log(`Socket connected: ${socket.id}`);
+      console.log(`Socket connected: ${socket.id} (${socket.data.user.userType} ${socket.data.user.userID})`);
+      socket.join(this.accountRoom(socket.data.user.userID));
       
-      // User registration
-      socket.on('register', (userInfo) => {
-        const { userID, userType, userName } = userInfo;
+      // User registration - identity comes from the handshake token; any
+      // userID/userType in the payload is ignored. A user can be
+      // registered from several devices or tabs at once.
+      this.handle(socket, 'register', async (userInfo) => {
+        const { userID, userType } = socket.data.user;
+        const { userName, deviceId, platform, appVersion } = userInfo;
         
-        this.connectedUsers.set(userID, socket.id);
-        this.userSockets.set(socket.id, { userID, userType, userName });
+        const cameOnline = await this.store.addSocket(socket.id, {
+          userID,
+          userType,
+          userName: userName || null,
+          instanceId: this.instanceId,
+          device: {
+            deviceId: deviceInfo(deviceId),
+            platform: deviceInfo(platform) || 'unknown',
+            appVersion: deviceInfo(appVersion),
+            connectedAt: new Date()
+          }
+        });
+        socket.join(this.userRoom(userID));
         
-        console.log(`User registered: ${userID} (${userType}) - ${userName}`);
+        console.log(`User registered: ${userID} (${userType}) - ${userName} on ${platform || 'unknown'}`);
         
         // Notify user of successful registration
-        socket.emit('registered', { userID, status: 'online' });
+        socket.emit('registered', {
+          userID,
+          status: 'online',
+          devices: await this.store.getUserDevices(userID)
+        });
         
         // Notify others about user online status
-        socket.broadcast.emit('user-status-changed', { 
-          userID, 
-          status: 'online', 
-          userType 
-        });
+        if (cameOnline) {
+          socket.broadcast.emit('user-status-changed', {
+            userID,
+            status: 'online',
+            userType
+          });
+        }
+        
+        // Calls this user dropped out of can still be rejoined
+        for (const [callID, call] of await this.store.getUserCalls(userID)) {
+          if (call.dropped?.[userID]) {
+            socket.emit('call-resumable', {
+              callID,
+              callType: call.callType,
+              peerID: this.getOtherParticipant(call, userID)
+            });
+          }
+        }
       });
       
       // Call initiation
-      socket.on('initiate-call', async (data) => {
-        const { callerID, calleeID, callType, callID } = data;
-        const calleeSocketID = this.connectedUsers.get(calleeID);
+      this.handle(socket, 'initiate-call', async (data) => {
+        const { calleeID, callID } = data;
+        const callerID = socket.data.user.userID;
+        
+        if (!callID || (await this.store.getCall(callID))) {
+          socket.emit('call-error', { error: 'Invalid call', callID });
+          return;
+        }
+        
+        // The call must have been created through /api/call/initiate for
+        // exactly this caller and callee
+        let callLog;
+        try {
+          callLog = await CallLog.findOne({ callId: callID, status: 'initiated' });
+        } catch (error) {
+          console.error(`Failed to load call ${callID}:`, error.message);
+        }
+        if (
+          !callLog ||
+          callLog.userId.toString() !== callerID ||
+          callLog.therapistId.toString() !== calleeID
+        ) {
+          socket.emit('call-error', { error: 'Call not found', callID });
+          return;
+        }
+        
+        const { callType } = callLog;
         
         console.log(`Call initiated: ${callerID} -> ${calleeID} (${callType})`);
         
-        if (!calleeSocketID) {
-          socket.emit('call-error', { 
+        if (!(await this.store.isOnline(calleeID))) {
+          socket.emit('call-error', {
             error: 'User not available',
-            callID 
+            callID
+          });
+          this.settleCall(callID, {
+            endedBy: 'user',
+            actor: this.actorFor(socket),
+            unansweredStatus: 'offline',
+            unansweredEndReason: 'cancelled'
           });
           return;
         }
         
-        // Store call information
-        this.activeCalls.set(callID, {
+        let ringing;
+        try {
+          ringing = await CallLog.transition(callID, 'ringing', {
+            from: 'initiated',
+            actor: this.actorFor(socket)
+          });
+        } catch (error) {
+          console.error(`Failed to mark call ${callID} ringing:`, error.message);
+        }
+        if (!ringing) {
+          socket.emit('call-error', { error: 'Call is no longer available', callID });
+          return;
+        }
+        
+        // Store call information. Each side is bound to one socket: the
+        // caller's from the start, the callee's once a device accepts.
+        await this.store.createCall(callID, {
           callerID,
           calleeID,
           callType,
           status: 'ringing',
-          startTime: Date.now()
+          startTime: Date.now(),
+          answeredAt: null,
+          sockets: { [callerID]: socket.id },
+          dropped: {}
         });
         
-        // Send call invitation to callee
-        this.io.to(calleeSocketID).emit('incoming-call', {
+        // Ring every device the callee is registered on
+        const caller = await this.store.getSocket(socket.id);
+        this.emitToUser(calleeID, 'incoming-call', {
           callerID,
           calleeID,
           callType,
           callID,
-          callerName: this.userSockets.get(socket.id)?.userName || 'Unknown'
+          callerName: caller?.userName || 'Unknown'
         });
         
         // Confirm call initiated to caller
-        socket.emit('call-initiated', { callID, status: 'ringing' });
+        socket.emit('call-initiated', { callID, status: 'ringing', ringTimeoutMs: RING_TIMEOUT_MS });
+        
+        this.startRingTimer(callID);
+        
+        this.recordTimeline(callID, 'ringing');
       });
       
       // Call acceptance
-      socket.on('accept-call', (data) => {
+      this.handle(socket, 'accept-call', async (data) => {
         const { callID } = data;
-        const call = this.activeCalls.get(callID);
+        const call = await this.getParticipantCall(socket, callID);
+        if (!call) return;
         
-        if (!call) {
-          socket.emit('call-error', { error: 'Call not found', callID });
+        // Only the callee can answer
+        if (call.calleeID !== socket.data.user.userID) {
+          socket.emit('call-error', { error: 'Only the callee can accept this call', callID });
           return;
         }
         
-        const callerSocketID = this.connectedUsers.get(call.callerID);
+        // The first device to accept wins; claim the call in the store
+        // before going to the database so no other device, on this
+        // instance or another, can slip in meanwhile
+        const claimed = await this.store.updateCall(
+          callID,
+          { status: 'accepting', [`sockets.${call.calleeID}`]: socket.id },
+          'ringing'
+        );
+        if (!claimed) {
+          socket.emit('call-error', { error: 'Call is no longer available', callID });
+          return;
+        }
         
-        if (callerSocketID) {
-          // Update call status
-          call.status = 'connecting';
-          this.activeCalls.set(callID, call);
-          
-          // Notify caller that call was accepted
-          this.io.to(callerSocketID).emit('call-accepted', { callID });
-          
-          console.log(`Call accepted: ${call.callerID} <-> ${call.calleeID}`);
+        // The server's answer time is what the call is billed from
+        let answered;
+        try {
+          answered = await CallLog.transition(callID, 'answered', {
+            from: 'ringing',
+            actor: this.actorFor(socket),
+            set: { actualStartTime: new Date() }
+          });
+        } catch (error) {
+          console.error(`Failed to mark call ${callID} answered:`, error.message);
+          // Let this or another device try again
+          await this.store.updateCall(
+            callID,
+            { status: 'ringing', [`sockets.${call.calleeID}`]: null },
+            'accepting'
+          );
+          if (!this.ringTimers.has(callID)) {
+            this.startRingTimer(callID);
+          }
+          socket.emit('call-error', { error: 'Failed to accept call', callID });
+          return;
+        }
+        if (!answered) {
+          // Closed elsewhere (REST /end, webhook) while it was ringing
+          await this.removeCall(callID);
+          socket.emit('call-error', { error: 'Call is no longer available', callID });
+          return;
         }
+        
+        this.clearRingTimer(callID);
+        
+        // Update call status
+        await this.store.updateCall(callID, {
+          status: 'connecting',
+          answeredAt: answered.actualStartTime.getTime()
+        });
+        
+        // Notify caller that call was accepted
+        this.io.to(claimed.sockets[call.callerID]).emit('call-accepted', { callID });
+        
+        // Stop the callee's other devices ringing
+        const callee = await this.store.getSocket(socket.id);
+        socket.to(this.userRoom(call.calleeID)).emit('call-answered-elsewhere', {
+          callID,
+          deviceId: callee?.device.deviceId || null
+        });
+        
+        this.recordTimeline(callID, 'answered');
+        
+        // Start billing the user minute by minute
+        this.callMeter.start(callID);
+        
+        console.log(`Call accepted: ${call.callerID} <-> ${call.calleeID} on ${socket.id}`);
       });
       
       // Call rejection
-      socket.on('reject-call', (data) => {
+      this.handle(socket, 'reject-call', async (data) => {
         const { callID, reason } = data;
-        const call = this.activeCalls.get(callID);
-        
+        const call = await this.getParticipantCall(socket, callID);
         if (!call) return;
         
-        const callerSocketID = this.connectedUsers.get(call.callerID);
+        if (call.calleeID !== socket.data.user.userID) {
+          socket.emit('call-error', { error: 'Only the callee can reject this call', callID });
+          return;
+        }
         
-        if (callerSocketID) {
-          this.io.to(callerSocketID).emit('call-rejected', { 
-            callID, 
-            reason: reason || 'Call declined' 
-          });
+        // Claimed like an accept, so a device accepting at the same time
+        // can't also win
+        const claimed = await this.store.updateCall(callID, { status: 'rejecting' }, 'ringing');
+        if (!claimed) {
+          socket.emit('call-error', { error: 'Call is no longer ringing', callID });
+          return;
         }
         
+        this.io.to(call.sockets[call.callerID]).emit('call-rejected', {
+          callID,
+          reason: reason || 'Call declined'
+        });
+        socket.to(this.userRoom(call.calleeID)).emit('call-rejected-elsewhere', { callID });
+        
         // Remove call from active calls
-        this.activeCalls.delete(callID);
+        await this.removeCall(callID);
+        
+        this.recordTimeline(callID, 'rejected');
+        CallLog.transition(callID, 'rejected', {
+          from: 'ringing',
+          actor: this.actorFor(socket),
+          reason: reason || null,
+          set: {
+            rejectReason: reason || null,
+            endReason: 'rejected',
+            endTime: new Date()
+          }
+        }).catch((error) => {
+          console.error(`Failed to mark call ${callID} rejected:`, error.message);
+        });
         
         console.log(`Call rejected: ${call.callerID} -> ${call.calleeID}`);
       });
       
       // WebRTC signaling events
-      socket.on('webrtc-offer', (data) => {
-        const { callID, offer, targetUserID } = data;
-        const targetSocketID = this.connectedUsers.get(targetUserID);
+      this.handle(socket, 'webrtc-offer', (data) =>
+        this.relayToPeer(socket, 'webrtc-offer', data, 'offer')
+      );
+      
+      this.handle(socket, 'webrtc-answer', (data) =>
+        this.relayToPeer(socket, 'webrtc-answer', data, 'answer')
+      );
+      
+      this.handle(socket, 'webrtc-ice-candidate', (data) =>
+        this.relayToPeer(socket, 'webrtc-ice-candidate', data, 'candidate')
+      );
+      
+      // Periodic WebRTC getStats samples from the device in the call. Same
+      // payload as POST /api/call/:callId/quality; platform and appVersion
+      // default to what the device registered with.
+      this.handle(socket, 'quality-sample', async (data) => {
+        const { callID, samples, networkType } = data;
+        const call = await this.getParticipantCall(socket, callID);
+        if (!call) return;
+        
+        const { userID, userType } = socket.data.user;
+        const registered = await this.store.getSocket(socket.id);
         
-        if (targetSocketID) {
-          this.io.to(targetSocketID).emit('webrtc-offer', {
+        try {
+          await CallQualityService.record(
             callID,
-            offer,
-            senderID: this.userSockets.get(socket.id)?.userID
-          });
+            { participantType: userType, participantId: userID },
+            samples,
+            {
+              platform: data.platform || registered?.device.platform,
+              appVersion: data.appVersion || registered?.device.appVersion,
+              networkType
+            }
+          );
+        } catch (error) {
+          if (!(error instanceof ServiceError)) throw error;
+          socket.emit('call-error', { error: error.message, callID });
         }
       });
       
-      socket.on('webrtc-answer', (data) => {
-        const { callID, answer, targetUserID } = data;
-        const targetSocketID = this.connectedUsers.get(targetUserID);
+      // Rejoin an answered call after dropping out (network switch, app
+      // restart). Register first; then renegotiate with an ICE-restart
+      // offer through webrtc-offer.
+      this.handle(socket, 'rejoin-call', async (data) => {
+        const { callID } = data;
+        const call = await this.getParticipantCall(socket, callID, { anyDevice: true });
+        if (!call) return;
         
-        if (targetSocketID) {
-          this.io.to(targetSocketID).emit('webrtc-answer', {
-            callID,
-            answer,
-            senderID: this.userSockets.get(socket.id)?.userID
-          });
+        const { userID } = socket.data.user;
+        const dropped = call.dropped?.[userID];
+        if (!dropped) {
+          socket.emit('call-error', { error: 'Call is not waiting for you to rejoin', callID });
+          return;
+        }
+        if (!(await this.store.getSocket(socket.id))) {
+          socket.emit('call-error', { error: 'Register before rejoining a call', callID });
+          return;
         }
-      });
-      
-      socket.on('webrtc-ice-candidate', (data) => {
-        const { callID, candidate, targetUserID } = data;
-        const targetSocketID = this.connectedUsers.get(targetUserID);
         
-        if (targetSocketID) {
-          this.io.to(targetSocketID).emit('webrtc-ice-candidate', {
-            callID,
-            candidate,
-            senderID: this.userSockets.get(socket.id)?.userID
-          });
+        // Whichever device rejoins takes the call over
+        const updated = await this.store.updateCall(callID, {
+          [`dropped.${userID}`]: null,
+          [`sockets.${userID}`]: socket.id
+        });
+        if (!updated) {
+          socket.emit('call-error', { error: 'Call not found', callID });
+          return;
         }
+        this.clearGraceTimer(callID, userID);
+        
+        const peerID = this.getOtherParticipant(updated, userID);
+        socket.emit('call-rejoined', {
+          callID,
+          callType: updated.callType,
+          peerID,
+          peerConnected: !updated.dropped?.[peerID]
+        });
+        this.io.to(this.participantTarget(updated, peerID)).emit('peer-rejoined', { callID, userID });
+        
+        this.countQualityEvent(callID, 'reconnectionCount');
+        
+        console.log(`User ${userID} rejoined call ${callID} after ${Date.now() - dropped.droppedAt}ms`);
       });
       
       // Call termination
-      socket.on('end-call', (data) => {
+      this.handle(socket, 'end-call', async (data) => {
         const { callID } = data;
-        const call = this.activeCalls.get(callID);
+        const call = await this.getParticipantCall(socket, callID);
+        if (!call) return;
         
-        if (call) {
-          const otherUserID = call.callerID === this.userSockets.get(socket.id)?.userID 
-            ? call.calleeID 
-            : call.callerID;
-          
-          const otherSocketID = this.connectedUsers.get(otherUserID);
-          
-          if (otherSocketID) {
-            this.io.to(otherSocketID).emit('call-ended', { 
-              callID,
-              endedBy: this.userSockets.get(socket.id)?.userID
-            });
-          }
-          
-          // Remove call from active calls
-          this.activeCalls.delete(callID);
-          
-          console.log(`Call ended: ${callID}`);
+        // Whoever removes the call ends it; a racing end elsewhere is a no-op
+        if (!(await this.removeCall(callID))) return;
+        
+        const { userID } = socket.data.user;
+        const otherUserID = this.getOtherParticipant(call, userID);
+        
+        this.io.to(this.participantTarget(call, otherUserID)).emit('call-ended', {
+          callID,
+          endedBy: userID
+        });
+        
+        // A callee declining from one device stops the others ringing
+        if (!call.sockets[userID]) {
+          socket.to(this.userRoom(userID)).emit('call-ended', { callID, endedBy: userID });
         }
+        
+        // Hanging up before an answer cancels the call
+        const endedBy = socket.data.user.userType === 'therapist' ? 'therapist' : 'user';
+        this.settleCall(callID, {
+          endedBy,
+          actor: this.actorFor(socket),
+          unansweredStatus: endedBy === 'therapist' ? 'cancelled_by_therapist' : 'cancelled_by_user'
+        });
+        
+        console.log(`Call ended: ${callID}`);
       });
       
       // Handle disconnection
       socket.on('disconnect', () => {
-        const userInfo = this.userSockets.get(socket.id);
-        
-        if (userInfo) {
-          const { userID, userType } = userInfo;
-          
-          // Remove user from connected users
-          this.connectedUsers.delete(userID);
-          this.userSockets.delete(socket.id);
+        this.handleSocketGone(socket.id).catch((error) => {
+          console.error(`Failed to handle disconnect of ${socket.id}:`, error);
+        });
+      });
+    });
+  }
+  
+  // A registered socket is gone - disconnected, or left behind by an
+  // earlier run of this instance
+  async handleSocketGone(socketID) {
+    const removed = await this.store.removeSocket(socketID);
+    if (!removed) return;
+    
+    // The user stays online while any other device is connected
+    const { record: user, wentOffline } = removed;
+    const { userID, userType } = user;
+    
+    for (const [callID, call] of await this.store.getUserCalls(userID)) {
+      const boundSocketID = call.sockets[userID];
+      if (!boundSocketID) {
+        // One of the callee's ringing devices closed; the call only
+        // ends once none are left
+        if (wentOffline) {
+          await this.endDroppedCall(callID, call, user);
+        }
+      } else if (boundSocketID === socketID) {
+        // Ringing calls end right away; answered calls wait for the
+        // user to come back
+        if (call.status === 'ringing') {
+          await this.endDroppedCall(callID, call, user);
+        } else {
+          await this.startReconnectGrace(callID, call, user);
+        }
+      }
+    }
+    
+    // Notify others about user offline status
+    if (wentOffline) {
+      this.io.emit('user-status-changed', {
+        userID,
+        status: 'offline',
+        userType
+      });
+    }
+    
+    console.log(`User disconnected: ${userID} (${userType})`);
+  }
+  
+  // Sockets an earlier run of this instance registered died with it; treat
+  // them as disconnected so their calls end or get a grace window
+  async recoverInstance() {
+    const socketIDs = await this.store.getInstanceSockets(this.instanceId);
+    for (const socketID of socketIDs) {
+      await this.handleSocketGone(socketID);
+    }
+    
+    if (socketIDs.length > 0) {
+      console.log(`Cleared ${socketIDs.length} sockets left by a previous run of ${this.instanceId}`);
+    }
+  }
+  
+  // Close the CallLog and bill it from server timestamps. Runs in the
+  // background; REST /end and webhooks may race it, settlement is idempotent.
+  settleCall(callID, options) {
+    CallSettlementService.settleCall(callID, options)
+      .then((result) => {
+        if (result && !result.alreadySettled) {
+          console.log(`Call ${callID} settled: ${result.callLog.status}, ${result.costData.costInCoins} coins`);
           
-          // End any active calls for this user
-          for (const [callID, call] of this.activeCalls.entries()) {
-            if (call.callerID === userID || call.calleeID === userID) {
-              const otherUserID = call.callerID === userID ? call.calleeID : call.callerID;
-              const otherSocketID = this.connectedUsers.get(otherUserID);
-              
-              if (otherSocketID) {
-                this.io.to(otherSocketID).emit('call-ended', { 
-                  callID,
-                  reason: 'User disconnected'
-                });
-              }
-              
-              this.activeCalls.delete(callID);
-            }
+          if (result.callLog.status === 'missed') {
+            this.notifyMissedCall(result.callLog);
           }
-          
-          // Notify others about user offline status
-          socket.broadcast.emit('user-status-changed', { 
-            userID, 
-            status: 'offline', 
-            userType 
-          });
-          
-          console.log(`User disconnected: ${userID} (${userType})`);
         }
+      })
+      .catch((error) => {
+        console.error(`Failed to settle call ${callID}:`, error);
+      });
+  }
+  
+  // Forget a call that has ended: this instance's timers and meter, and
+  // the shared state. Returns the removed call, or null if it was already
+  // gone (ended through another path or instance).
+  async removeCall(callID) {
+    this.clearRingTimer(callID);
+    for (const key of this.graceTimers.keys()) {
+      if (key.startsWith(`${callID}:`)) {
+        clearTimeout(this.graceTimers.get(key));
+        this.graceTimers.delete(key);
+      }
+    }
+    this.callMeter.stop(callID);
+    
+    return this.store.deleteCall(callID);
+  }
+  
+  // A participant's socket dropped mid-call. Keep the call alive for the
+  // grace window; the meter keeps running, but if they never come back
+  // the call is only billed up to the drop.
+  async startReconnectGrace(callID, call, user) {
+    const { userID } = user;
+    // Already waiting on this user (an older socket closing late)
+    if (call.dropped?.[userID]) return;
+    
+    const droppedAt = Date.now();
+    const updated = await this.store.updateCall(callID, { [`dropped.${userID}`]: { droppedAt } });
+    if (!updated) return;
+    
+    const key = `${callID}:${userID}`;
+    this.graceTimers.set(key, setTimeout(() => {
+      this.graceTimers.delete(key);
+      this.handleGraceExpired(callID, user, droppedAt).catch((error) => {
+        console.error(`Failed to end call ${callID} after grace period:`, error);
       });
+    }, RECONNECT_GRACE_MS));
+    
+    const peerID = this.getOtherParticipant(updated, userID);
+    this.io.to(this.participantTarget(updated, peerID)).emit('peer-disconnected', {
+      callID,
+      userID,
+      graceMs: RECONNECT_GRACE_MS
+    });
+    // Already back on a newer socket that registered before this one closed
+    this.emitToUser(userID, 'call-resumable', {
+      callID,
+      callType: updated.callType,
+      peerID
     });
+    this.countQualityEvent(callID, 'disconnectionCount');
+    
+    console.log(`User ${userID} dropped from call ${callID}, waiting ${RECONNECT_GRACE_MS}ms`);
+  }
+  
+  clearGraceTimer(callID, userID) {
+    const key = `${callID}:${userID}`;
+    clearTimeout(this.graceTimers.get(key));
+    this.graceTimers.delete(key);
+  }
+  
+  async handleGraceExpired(callID, user, droppedAt) {
+    const call = await this.store.getCall(callID);
+    // Rejoined (possibly through another instance), or dropped again
+    // since with a timer of its own
+    if (call?.dropped?.[user.userID]?.droppedAt !== droppedAt) return;
+    
+    console.log(`User ${user.userID} did not rejoin call ${callID}`);
+    
+    const maxDuration = call.answeredAt
+      ? Math.max(0, Math.floor((droppedAt - call.answeredAt) / 1000))
+      : null;
+    await this.endDroppedCall(callID, call, user, maxDuration);
+  }
+  
+  // End a call because a participant's connection is gone
+  async endDroppedCall(callID, call, user, maxDuration = null) {
+    const { userID, userType } = user;
+    
+    if (!(await this.removeCall(callID))) return;
+    
+    const peerID = this.getOtherParticipant(call, userID);
+    this.io.to(this.participantTarget(call, peerID)).emit('call-ended', {
+      callID,
+      reason: 'User disconnected'
+    });
+    
+    // A callee dropping while it rings has missed the call
+    this.settleCall(callID, {
+      endedBy: userType === 'therapist' ? 'therapist' : 'user',
+      actor: CallStateMachine.actor(userType, userID),
+      maxDuration,
+      endReason: 'network_error',
+      unansweredStatus: call.calleeID === userID ? 'missed' : 'cancelled_by_user',
+      unansweredEndReason: 'network_error'
+    });
+  }
+  
+  // Bump a callQuality counter (disconnectionCount, reconnectionCount)
+  countQualityEvent(callID, field) {
+    CallLog.updateOne(
+      { callId: callID },
+      { $inc: { [`callQuality.${field}`]: 1 } }
+    ).catch((error) => {
+      console.error(`Failed to count ${field} for call ${callID}:`, error.message);
+    });
+  }
+  
+  startRingTimer(callID) {
+    this.clearRingTimer(callID);
+    const timer = setTimeout(() => {
+      this.ringTimers.delete(callID);
+      this.handleRingTimeout(callID).catch((error) => {
+        console.error(`Failed to time out call ${callID}:`, error);
+      });
+    }, RING_TIMEOUT_MS);
+    this.ringTimers.set(callID, timer);
+  }
+  
+  clearRingTimer(callID) {
+    clearTimeout(this.ringTimers.get(callID));
+    this.ringTimers.delete(callID);
+  }
+  
+  // Nobody answered in time: end the call for both sides, mark it missed
+  // and let the therapist know
+  async handleRingTimeout(callID) {
+    // Loses to an accept or reject that claimed the call first
+    const call = await this.store.updateCall(callID, { status: 'timed_out' }, 'ringing');
+    if (!call) return;
+    
+    await this.emitToCallParticipants(callID, 'call-timeout', {
+      callID,
+      reason: 'No answer'
+    });
+    if (!(await this.removeCall(callID))) return;
+    
+    console.log(`Call timed out: ${call.callerID} -> ${call.calleeID}`);
+    
+    this.settleCall(callID, {
+      endedBy: 'user',
+      unansweredStatus: 'missed',
+      unansweredEndReason: 'timeout'
+    });
+  }
+  
+  // Queue the therapist's missed-call notification and push it to them
+  // if they are connected
+  async notifyMissedCall(callLog) {
+    try {
+      const notification = await NotificationService.queueMissedCall(callLog);
+      if (notification) {
+        this.emitToUser(callLog.therapistId.toString(), 'notification', notification);
+      }
+    } catch (error) {
+      console.error(`Failed to queue missed-call notification for ${callLog.callId}:`, error);
+    }
+  }
+  
+  // Who a socket's transitions are recorded against in statusHistory
+  actorFor(socket) {
+    const { userID, userType } = socket.data.user;
+    return CallStateMachine.actor(userType, userID);
+  }
+  
+  // Ring-phase timestamps for response-time metrics; never blocks signaling
+  recordTimeline(callID, event) {
+    CallLog.recordTimeline(callID, event).catch((error) => {
+      console.error(`Failed to record ${event} for call ${callID}:`, error.message);
+    });
+  }
+  
+  // Every socket of a user joins this room, so one emit reaches all their
+  // devices on every instance
+  userRoom(userID) {
+    return `user:${userID}`;
+  }
+  
+  // Every socket of an account joins this room on connection, whether or
+  // not it has registered
+  accountRoom(userID) {
+    return `account:${userID}`;
+  }
+  
+  // Drop every socket of an account on every instance, e.g. when it is
+  // suspended. Answered calls get the usual reconnection grace window,
+  // which runs out since the handshake now refuses the account.
+  disconnectUser(userID, reason) {
+    this.io.to(this.accountRoom(userID)).emit('session-ended', { reason });
+    this.io.in(this.accountRoom(userID)).disconnectSockets();
+  }
+  
+  // Where a participant's call events go: the device bound to the call,
+  // or all of their devices while the callee's are still ringing
+  participantTarget(call, userID) {
+    return call.sockets[userID] || this.userRoom(userID);
+  }
+  
+  // Send an event to every device a user is connected on
+  emitToUser(userID, event, payload) {
+    this.io.to(this.userRoom(userID)).emit(event, payload);
+  }
+  
+  // Send an event to both sides of an active call
+  async emitToCallParticipants(callID, event, payload) {
+    const call = await this.store.getCall(callID);
+    if (!call) return;
+    
+    for (const userID of [call.callerID, call.calleeID]) {
+      this.io.to(this.participantTarget(call, userID)).emit(event, payload);
+    }
+  }
+  
+  // Cluster-wide counts from the shared store
+  async getStats() {
+    const [connectedUsers, connectedSockets, activeCalls] = await Promise.all([
+      this.store.countOnlineUsers(),
+      this.store.countSockets(),
+      this.store.countCalls()
+    ]);
+    return { connectedUsers, connectedSockets, activeCalls };
   }
   
   // Get connected users count
   getConnectedUsersCount() {
-    return this.connectedUsers.size;
+    return this.store.countOnlineUsers();
   }
   
   // Get active calls count
   getActiveCallsCount() {
-    return this.activeCalls.size;
+    return this.store.countCalls();
+  }
+  
+  isOnline(userID) {
+    return this.store.isOnline(userID);
+  }
+  
+  // The devices a user is connected on
+  getUserDevices(userID) {
+    return this.store.getUserDevices(userID);
   }
   
   // Get user status
-  getUserStatus(userID) {
-    return this.connectedUsers.has(userID) ? 'online' : 'offline';
+  async getUserStatus(userID) {
+    return (await this.isOnline(userID)) ? 'online' : 'offline';
   }
 }
 
-module.exports = SignalingServer;
\ No newline at end of file
+module.exports = SignalingServer;
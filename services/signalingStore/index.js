@@ -0,0 +1,26 @@
+// services/signalingStore/index.js - Presence and active-call state for the signaling server
+const MemorySignalingStore = require("./memoryStore");
+const RedisSignalingStore = require("./redisStore");
+
+const DRIVERS = {
+  memory: () => new MemorySignalingStore(),
+  redis: () => new RedisSignalingStore(),
+};
+
+let store = null;
+
+// SIGNALING_STORE picks the store; defaults to Redis when REDIS_URL is set
+// and process memory (single instance only) otherwise
+const getStore = () => {
+  if (!store) {
+    const name =
+      process.env.SIGNALING_STORE || (process.env.REDIS_URL ? "redis" : "memory");
+    if (!DRIVERS[name]) {
+      throw new Error(`Unknown signaling store: ${name}`);
+    }
+    store = DRIVERS[name]();
+  }
+  return store;
+};
+
+module.exports = { getStore };
@@ -0,0 +1,104 @@
+// services/signalingStore/memoryStore.js - Single-instance store in process memory
+const SignalingStore = require("./signalingStore");
+
+// Records are copied in and out so callers can't change stored state by
+// mutating what they were given, same as with a remote store
+const copy = (value) => (value ? JSON.parse(JSON.stringify(value)) : null);
+
+class MemorySignalingStore extends SignalingStore {
+  constructor() {
+    super("memory");
+    this.sockets = new Map(); // socketID -> record
+    this.userSockets = new Map(); // userID -> Set(socketID)
+    this.calls = new Map(); // callID -> call
+  }
+
+  async addSocket(socketID, record) {
+    this.sockets.set(socketID, copy(record));
+
+    const wasOffline = !this.userSockets.has(record.userID);
+    if (wasOffline) {
+      this.userSockets.set(record.userID, new Set());
+    }
+    this.userSockets.get(record.userID).add(socketID);
+    return wasOffline;
+  }
+
+  async getSocket(socketID) {
+    return copy(this.sockets.get(socketID));
+  }
+
+  async removeSocket(socketID) {
+    const record = this.sockets.get(socketID);
+    if (!record) return null;
+    this.sockets.delete(socketID);
+
+    const socketIDs = this.userSockets.get(record.userID);
+    socketIDs?.delete(socketID);
+    const wentOffline = !socketIDs || socketIDs.size === 0;
+    if (wentOffline) {
+      this.userSockets.delete(record.userID);
+    }
+    return { record, wentOffline };
+  }
+
+  async isOnline(userID) {
+    return this.userSockets.has(userID);
+  }
+
+  async getUserDevices(userID) {
+    return [...(this.userSockets.get(userID) || [])].map((socketID) =>
+      copy(this.sockets.get(socketID).device)
+    );
+  }
+
+  async getInstanceSockets(instanceId) {
+    return [...this.sockets.entries()]
+      .filter(([, record]) => record.instanceId === instanceId)
+      .map(([socketID]) => socketID);
+  }
+
+  async countOnlineUsers() {
+    return this.userSockets.size;
+  }
+
+  async countSockets() {
+    return this.sockets.size;
+  }
+
+  async createCall(callID, call) {
+    if (this.calls.has(callID)) return false;
+    this.calls.set(callID, copy(call));
+    return true;
+  }
+
+  async getCall(callID) {
+    return copy(this.calls.get(callID));
+  }
+
+  async updateCall(callID, changes, expectedStatus = null) {
+    const call = this.calls.get(callID);
+    if (!call || (expectedStatus && call.status !== expectedStatus)) {
+      return null;
+    }
+    return copy(SignalingStore.applyChanges(call, copy(changes)));
+  }
+
+  async deleteCall(callID) {
+    const call = this.calls.get(callID);
+    this.calls.delete(callID);
+    return call || null;
+  }
+
+  async getUserCalls(userID) {
+    return [...this.calls.entries()]
+      .filter(([, call]) => call.callerID === userID || call.calleeID === userID)
+      .map(([callID, call]) => [callID, copy(call)]);
+  }
+
+  async countCalls() {
+    return this.calls.size;
+  }
+}
+
+module.exports = MemorySignalingStore;
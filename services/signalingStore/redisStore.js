@@ -0,0 +1,218 @@
+// services/signalingStore/redisStore.js - Store shared by every instance through Redis
+const Redis = require("ioredis");
+const { createAdapter } = require("@socket.io/redis-adapter");
+const SignalingStore = require("./signalingStore");
+
+// Multi-key updates run as scripts so concurrent instances never see half
+// of one. Keys are passed in, so everything a script touches is declared.
+
+// KEYS: socket, user's sockets, online users, all sockets, instance's sockets
+// ARGV: socketID, record, userID
+const ADD_SOCKET = `
+redis.call('SET', KEYS[1], ARGV[2])
+local added = redis.call('SADD', KEYS[2], ARGV[1])
+redis.call('SADD', KEYS[3], ARGV[3])
+redis.call('SADD', KEYS[4], ARGV[1])
+redis.call('SADD', KEYS[5], ARGV[1])
+if added == 1 and redis.call('SCARD', KEYS[2]) == 1 then return 1 end
+return 0
+`;
+
+// Same KEYS as ADD_SOCKET; ARGV: socketID, userID.
+// Returns the user's remaining socket count, or -1 if already removed.
+const REMOVE_SOCKET = `
+if redis.call('DEL', KEYS[1]) == 0 then return -1 end
+redis.call('SREM', KEYS[2], ARGV[1])
+redis.call('SREM', KEYS[4], ARGV[1])
+redis.call('SREM', KEYS[5], ARGV[1])
+local left = redis.call('SCARD', KEYS[2])
+if left == 0 then redis.call('SREM', KEYS[3], ARGV[2]) end
+return left
+`;
+
+// KEYS: call, all calls, caller's calls, callee's calls; ARGV: callID, call
+const CREATE_CALL = `
+if not redis.call('SET', KEYS[1], ARGV[2], 'NX') then return 0 end
+redis.call('SADD', KEYS[2], ARGV[1])
+redis.call('SADD', KEYS[3], ARGV[1])
+redis.call('SADD', KEYS[4], ARGV[1])
+return 1
+`;
+
+// SignalingStore.applyChanges in Lua. KEYS: call; ARGV: changes, expected status or ''
+const UPDATE_CALL = `
+local raw = redis.call('GET', KEYS[1])
+if not raw then return nil end
+local call = cjson.decode(raw)
+if ARGV[2] ~= '' and call.status ~= ARGV[2] then return nil end
+for path, value in pairs(cjson.decode(ARGV[1])) do
+  local field, key = string.match(path, '^([^.]+)%.(.+)$')
+  local target, name = call, path
+  if field then
+    if type(call[field]) ~= 'table' then call[field] = {} end
+    target, name = call[field], key
+  end
+  if value == cjson.null then target[name] = nil else target[name] = value end
+end
+raw = cjson.encode(call)
+redis.call('SET', KEYS[1], raw)
+return raw
+`;
+
+// KEYS: call, all calls; ARGV: callID. Returns the removed call.
+const DELETE_CALL = `
+local raw = redis.call('GET', KEYS[1])
+if not raw then return nil end
+redis.call('DEL', KEYS[1])
+redis.call('SREM', KEYS[2], ARGV[1])
+return raw
+`;
+
+const parse = (raw) => (raw ? JSON.parse(raw) : null);
+
+class RedisSignalingStore extends SignalingStore {
+  constructor(options = {}) {
+    super("redis");
+    this.client = new Redis(options.url || process.env.REDIS_URL || "redis://localhost:6379");
+    this.prefix = options.prefix || process.env.SIGNALING_REDIS_PREFIX || "signaling:";
+
+    this.client.defineCommand("addSocket", { numberOfKeys: 5, lua: ADD_SOCKET });
+    this.client.defineCommand("removeSocket", { numberOfKeys: 5, lua: REMOVE_SOCKET });
+    this.client.defineCommand("createCall", { numberOfKeys: 4, lua: CREATE_CALL });
+    this.client.defineCommand("updateCall", { numberOfKeys: 1, lua: UPDATE_CALL });
+    this.client.defineCommand("deleteCall", { numberOfKeys: 2, lua: DELETE_CALL });
+
+    this.client.on("error", (error) => {
+      console.error("Signaling store Redis error:", error.message);
+    });
+  }
+
+  key(...parts) {
+    return this.prefix + parts.join(":");
+  }
+
+  socketKeys(socketID, record) {
+    return [
+      this.key("socket", socketID),
+      this.key("user", record.userID, "sockets"),
+      this.key("online"),
+      this.key("sockets"),
+      this.key("instance", record.instanceId, "sockets"),
+    ];
+  }
+
+  // Routes room and socket emits through Redis pub/sub so a socket on one
+  // instance can reach a socket on any other
+  createAdapter() {
+    return createAdapter(this.client.duplicate(), this.client.duplicate());
+  }
+
+  async addSocket(socketID, record) {
+    const cameOnline = await this.client.addSocket(
+      ...this.socketKeys(socketID, record),
+      socketID,
+      JSON.stringify(record),
+      record.userID
+    );
+    return cameOnline === 1;
+  }
+
+  async getSocket(socketID) {
+    return parse(await this.client.get(this.key("socket", socketID)));
+  }
+
+  async removeSocket(socketID) {
+    const record = await this.getSocket(socketID);
+    if (!record) return null;
+
+    const left = await this.client.removeSocket(
+      ...this.socketKeys(socketID, record),
+      socketID,
+      record.userID
+    );
+    if (left === -1) return null;
+    return { record, wentOffline: left === 0 };
+  }
+
+  async isOnline(userID) {
+    return (await this.client.sismember(this.key("online"), userID)) === 1;
+  }
+
+  async getUserDevices(userID) {
+    const socketIDs = await this.client.smembers(this.key("user", userID, "sockets"));
+    if (socketIDs.length === 0) return [];
+
+    const records = await this.client.mget(
+      socketIDs.map((socketID) => this.key("socket", socketID))
+    );
+    return records.filter(Boolean).map((raw) => JSON.parse(raw).device);
+  }
+
+  async getInstanceSockets(instanceId) {
+    return this.client.smembers(this.key("instance", instanceId, "sockets"));
+  }
+
+  async countOnlineUsers() {
+    return this.client.scard(this.key("online"));
+  }
+
+  async countSockets() {
+    return this.client.scard(this.key("sockets"));
+  }
+
+  async createCall(callID, call) {
+    const created = await this.client.createCall(
+      this.key("call", callID),
+      this.key("calls"),
+      this.key("user", call.callerID, "calls"),
+      this.key("user", call.calleeID, "calls"),
+      callID,
+      JSON.stringify(call)
+    );
+    return created === 1;
+  }
+
+  async getCall(callID) {
+    return parse(await this.client.get(this.key("call", callID)));
+  }
+
+  async updateCall(callID, changes, expectedStatus = null) {
+    return parse(
+      await this.client.updateCall(
+        this.key("call", callID),
+        JSON.stringify(changes),
+        expectedStatus || ""
+      )
+    );
+  }
+
+  async deleteCall(callID) {
+    const call = parse(
+      await this.client.deleteCall(this.key("call", callID), this.key("calls"), callID)
+    );
+    if (call) {
+      await this.client
+        .multi()
+        .srem(this.key("user", call.callerID, "calls"), callID)
+        .srem(this.key("user", call.calleeID, "calls"), callID)
+        .exec();
+    }
+    return call;
+  }
+
+  async getUserCalls(userID) {
+    const callIDs = await this.client.smembers(this.key("user", userID, "calls"));
+    if (callIDs.length === 0) return [];
+
+    const calls = await this.client.mget(callIDs.map((callID) => this.key("call", callID)));
+    return callIDs
+      .map((callID, index) => [callID, parse(calls[index])])
+      .filter(([, call]) => call);
+  }
+
+  async countCalls() {
+    return this.client.scard(this.key("calls"));
+  }
+}
+
+module.exports = RedisSignalingStore;
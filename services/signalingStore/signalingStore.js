@@ -0,0 +1,105 @@
+// services/signalingStore/signalingStore.js - Interface for shared presence and call state
+//
+// Presence is one record per registered socket:
+//   { userID, userType, userName, instanceId, device: { deviceId, platform, appVersion, connectedAt } }
+// Calls are plain JSON records:
+//   { callerID, calleeID, callType, status, startTime, answeredAt,
+//     sockets: { userID: socketID }, dropped: { userID: { droppedAt } } }
+class SignalingStore {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Socket.IO adapter that lets instances sharing this store reach each
+  // other's sockets; null keeps the default in-process adapter
+  createAdapter() {
+    return null;
+  }
+
+  // Register a socket. Returns true if the user had no other socket.
+  async addSocket(socketID, record) {
+    throw new Error(`${this.name}: addSocket not implemented`);
+  }
+
+  async getSocket(socketID) {
+    throw new Error(`${this.name}: getSocket not implemented`);
+  }
+
+  // Unregister a socket. Returns { record, wentOffline } or null if unknown.
+  async removeSocket(socketID) {
+    throw new Error(`${this.name}: removeSocket not implemented`);
+  }
+
+  async isOnline(userID) {
+    throw new Error(`${this.name}: isOnline not implemented`);
+  }
+
+  // Device info for each socket the user is registered on
+  async getUserDevices(userID) {
+    throw new Error(`${this.name}: getUserDevices not implemented`);
+  }
+
+  // Sockets a (crashed or restarted) instance left behind
+  async getInstanceSockets(instanceId) {
+    throw new Error(`${this.name}: getInstanceSockets not implemented`);
+  }
+
+  async countOnlineUsers() {
+    throw new Error(`${this.name}: countOnlineUsers not implemented`);
+  }
+
+  async countSockets() {
+    throw new Error(`${this.name}: countSockets not implemented`);
+  }
+
+  // Store a new call. Returns false if the callID is already taken.
+  async createCall(callID, call) {
+    throw new Error(`${this.name}: createCall not implemented`);
+  }
+
+  async getCall(callID) {
+    throw new Error(`${this.name}: getCall not implemented`);
+  }
+
+  // Atomically apply `changes` (see applyChanges) if the call exists and,
+  // when expectedStatus is given, is in that status. Returns the updated
+  // call or null.
+  async updateCall(callID, changes, expectedStatus = null) {
+    throw new Error(`${this.name}: updateCall not implemented`);
+  }
+
+  // Remove a call. Returns the removed call, or null if another instance
+  // got there first.
+  async deleteCall(callID) {
+    throw new Error(`${this.name}: deleteCall not implemented`);
+  }
+
+  // [callID, call] pairs the user takes part in
+  async getUserCalls(userID) {
+    throw new Error(`${this.name}: getUserCalls not implemented`);
+  }
+
+  async countCalls() {
+    throw new Error(`${this.name}: countCalls not implemented`);
+  }
+
+  // Shallow merge where "field.key" sets one key of an object field and a
+  // null value removes the field or key. Stores that can't share this
+  // (Redis runs it as a script) must keep the same semantics.
+  static applyChanges(call, changes) {
+    for (const [path, value] of Object.entries(changes)) {
+      const [field, key] = path.split(/\.(.+)/);
+      const target = key === undefined ? call : (call[field] = call[field] || {});
+      const name = key === undefined ? field : key;
+
+      if (value === null) {
+        delete target[name];
+      } else {
+        target[name] = value;
+      }
+    }
+    return call;
+  }
+}
+
+module.exports = SignalingStore;
@@ -0,0 +1,62 @@
+// services/sms/httpGatewayDriver.js - Generic JSON-over-HTTP SMS gateway
+const crypto = require("crypto");
+const axios = require("axios");
+const SmsDriver = require("./smsDriver");
+
+// POSTs { to, from, message } to SMS_HTTP_GATEWAY_URL with an optional
+// bearer token. The gateway should answer 2xx with { id } or { messageId }.
+class HttpGatewayDriver extends SmsDriver {
+  constructor(options = {}) {
+    super("http");
+    this.url = options.url || process.env.SMS_HTTP_GATEWAY_URL;
+    this.token = options.token || process.env.SMS_HTTP_GATEWAY_TOKEN;
+    this.from = options.from || process.env.SMS_HTTP_GATEWAY_SENDER || null;
+    this.timeout = options.timeout || 10000;
+    this.callbackToken =
+      options.callbackToken || process.env.SMS_HTTP_GATEWAY_CALLBACK_TOKEN;
+  }
+
+  async send({ to, body }) {
+    if (!this.url) {
+      throw new Error("SMS_HTTP_GATEWAY_URL is not configured");
+    }
+
+    const response = await axios.post(
+      this.url,
+      { to, from: this.from, message: body },
+      {
+        timeout: this.timeout,
+        headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+      }
+    );
+
+    return {
+      providerMessageId: String(response.data?.id || response.data?.messageId || ""),
+      status: "sent",
+    };
+  }
+
+  verifyStatusCallback({ headers }) {
+    const received = headers["x-sms-callback-token"];
+    if (!this.callbackToken || !received) return false;
+
+    const expected = Buffer.from(this.callbackToken);
+    const actual = Buffer.from(String(received));
+    return (
+      expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual)
+    );
+  }
+
+  parseStatusCallback(body) {
+    const statuses = ["sent", "delivered", "undelivered", "failed"];
+
+    return {
+      providerMessageId: String(body.id || body.messageId || ""),
+      status: statuses.includes(body.status) ? body.status : "sent",
+      errorMessage: body.error || null,
+    };
+  }
+}
+
+module.exports = HttpGatewayDriver;
@@ -0,0 +1,118 @@
+// services/sms/index.js - SMS delivery with ordered driver failover and status tracking
+const SmsMessage = require("../../models/SmsMessage");
+const TwilioDriver = require("./twilioDriver");
+const TwilioVerifyDriver = require("./twilioVerifyDriver");
+const HttpGatewayDriver = require("./httpGatewayDriver");
+const LocalDriver = require("./localDriver");
+
+const DRIVERS = {
+  twilio: () => new TwilioDriver(),
+  twilio_verify: () => new TwilioVerifyDriver(),
+  http: () => new HttpGatewayDriver(),
+  local: () => new LocalDriver(),
+};
+
+const instances = new Map();
+
+const getDriver = (name) => {
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown SMS driver: ${name}`);
+  }
+  if (!instances.has(name)) {
+    instances.set(name, DRIVERS[name]());
+  }
+  return instances.get(name);
+};
+
+// SMS_DRIVERS is an ordered, comma-separated list, e.g. "twilio_verify,twilio,http".
+// Defaults to Twilio in production and the local sink everywhere else.
+const getDriverChain = () => {
+  const configured =
+    process.env.SMS_DRIVERS ||
+    (process.env.NODE_ENV === "production" ? "twilio" : "local");
+
+  return configured
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .map(getDriver);
+};
+
+const maskCode = (body, code) =>
+  code ? body.split(code).join("*".repeat(code.length)) : body;
+
+class SmsService {
+  // Send through the first driver that succeeds. Every attempt is recorded
+  // on the SmsMessage; throws only when all drivers fail.
+  static async send(to, body, { purpose = "general", code = null } = {}) {
+    const record = await SmsMessage.create({
+      to,
+      purpose,
+      body: maskCode(body, code),
+    });
+
+    for (const driver of getDriverChain()) {
+      try {
+        const result = await driver.send({ to, body, purpose, code });
+
+        record.attempts.push({ driver: driver.name, status: "sent" });
+        record.driver = driver.name;
+        record.providerMessageId = result.providerMessageId || null;
+        record.status = result.status || "sent";
+        record.errorMessage = null;
+        if (record.status === "delivered") {
+          record.deliveredAt = new Date();
+        }
+        await record.save();
+
+        return record;
+      } catch (error) {
+        console.error(`SMS driver ${driver.name} failed for ${to}:`, error.message);
+        record.attempts.push({
+          driver: driver.name,
+          status: "failed",
+          error: error.message,
+        });
+        record.errorMessage = error.message;
+      }
+    }
+
+    record.status = "failed";
+    await record.save();
+    throw new Error(`All SMS drivers failed: ${record.errorMessage}`);
+  }
+
+  static sendOtp(to, code) {
+    return SmsService.send(to, `Your Therapist Connect OTP is: ${code}`, {
+      purpose: "otp",
+      code,
+    });
+  }
+
+  // Apply a verified provider delivery-status callback.
+  // Returns the updated message or null.
+  static async handleStatusCallback(driverName, body) {
+    const update = getDriver(driverName).parseStatusCallback(body);
+    if (!update || !update.providerMessageId) {
+      return null;
+    }
+
+    const changes = { status: update.status };
+    if (update.status === "delivered") {
+      changes.deliveredAt = new Date();
+    }
+    if (update.errorMessage) {
+      changes.errorMessage = update.errorMessage;
+    }
+
+    return SmsMessage.findOneAndUpdate(
+      { driver: driverName, providerMessageId: update.providerMessageId },
+      changes,
+      { new: true }
+    );
+  }
+}
+
+SmsService.getDriver = getDriver;
+
+module.exports = SmsService;
@@ -0,0 +1,48 @@
+// services/sms/localDriver.js - Development/test sink: in-memory outbox, optional file
+const crypto = require("crypto");
+const fs = require("fs");
+const SmsDriver = require("./smsDriver");
+
+const OUTBOX_LIMIT = 100;
+
+class LocalDriver extends SmsDriver {
+  constructor(options = {}) {
+    super("local");
+    this.file = options.file || process.env.SMS_OUTBOX_FILE || null;
+    this.outbox = [];
+  }
+
+  async send({ to, body, purpose }) {
+    const entry = {
+      id: `local_${crypto.randomBytes(8).toString("hex")}`,
+      to,
+      body,
+      purpose,
+      sentAt: new Date(),
+    };
+
+    this.outbox.push(entry);
+    if (this.outbox.length > OUTBOX_LIMIT) {
+      this.outbox.shift();
+    }
+
+    if (this.file) {
+      await fs.promises.appendFile(this.file, `${JSON.stringify(entry)}\n`);
+    }
+
+    console.log(`SMS to ${to}: ${body}`);
+
+    return { providerMessageId: entry.id, status: "delivered" };
+  }
+
+  // Most recent message to a number, for tests
+  lastMessageTo(to) {
+    return [...this.outbox].reverse().find((entry) => entry.to === to) || null;
+  }
+
+  clear() {
+    this.outbox = [];
+  }
+}
+
+module.exports = LocalDriver;
@@ -0,0 +1,27 @@
+// services/sms/smsDriver.js - Interface every SMS driver implements
+class SmsDriver {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Deliver one message.
+  // message: { to, body, purpose, code } - code is set for OTP messages so
+  // drivers that generate the text themselves (e.g. Twilio Verify) can use it.
+  // Returns { providerMessageId, status: "sent" | "delivered" }; throws on failure.
+  async send(message) {
+    throw new Error(`${this.name}: send not implemented`);
+  }
+
+  // Authenticate a status callback request ({ url, headers, body })
+  verifyStatusCallback(request) {
+    return false;
+  }
+
+  // Map a provider status callback to { providerMessageId, status, errorMessage },
+  // or null if this driver has no callbacks
+  parseStatusCallback(body) {
+    return null;
+  }
+}
+
+module.exports = SmsDriver;
@@ -0,0 +1,65 @@
+// services/sms/twilioDriver.js - Plain Twilio Programmable Messaging
+const twilio = require("twilio");
+const SmsDriver = require("./smsDriver");
+
+// Twilio message statuses -> SmsMessage statuses
+const STATUS_MAP = {
+  queued: "sent",
+  accepted: "sent",
+  sending: "sent",
+  sent: "sent",
+  delivered: "delivered",
+  undelivered: "undelivered",
+  failed: "failed",
+};
+
+class TwilioDriver extends SmsDriver {
+  constructor(options = {}) {
+    super("twilio");
+    this.from = options.from || process.env.TWILIO_PHONE_NUMBER;
+    this.statusCallback = options.statusCallback || process.env.SMS_STATUS_CALLBACK_URL;
+    this.authToken = options.authToken || process.env.TWILIO_AUTH_TOKEN;
+    this.client = twilio(
+      options.accountSid || process.env.TWILIO_ACCOUNT_SID,
+      this.authToken
+    );
+  }
+
+  async send({ to, body }) {
+    const message = await this.client.messages.create({
+      body,
+      from: this.from,
+      to,
+      ...(this.statusCallback && {
+        statusCallback: `${this.statusCallback}/${this.name}`,
+      }),
+    });
+
+    return {
+      providerMessageId: message.sid,
+      status: STATUS_MAP[message.status] || "sent",
+    };
+  }
+
+  // Twilio signs the exact callback URL it was given plus the form params
+  verifyStatusCallback({ headers, body }) {
+    if (!this.statusCallback) return false;
+
+    return twilio.validateRequest(
+      this.authToken,
+      headers["x-twilio-signature"],
+      `${this.statusCallback}/${this.name}`,
+      body
+    );
+  }
+
+  parseStatusCallback(body) {
+    return {
+      providerMessageId: body.MessageSid,
+      status: STATUS_MAP[body.MessageStatus] || "sent",
+      errorMessage: body.ErrorCode ? `Twilio error ${body.ErrorCode}` : null,
+    };
+  }
+}
+
+module.exports = TwilioDriver;
@@ -0,0 +1,33 @@
+// services/sms/twilioVerifyDriver.js - Twilio Verify, for OTP messages only
+const twilio = require("twilio");
+const SmsDriver = require("./smsDriver");
+
+class TwilioVerifyDriver extends SmsDriver {
+  constructor(options = {}) {
+    super("twilio_verify");
+    this.serviceSid = options.serviceSid || process.env.TWILIO_VERIFY_SERVICE_SID;
+    this.client = twilio(
+      options.accountSid || process.env.TWILIO_ACCOUNT_SID,
+      options.authToken || process.env.TWILIO_AUTH_TOKEN
+    );
+  }
+
+  // Verify writes its own message text; we pass our code as customCode so
+  // verification stays in OtpService regardless of which driver delivered it
+  async send({ to, code, purpose }) {
+    if (purpose !== "otp" || !code) {
+      throw new Error("twilio_verify can only deliver OTP messages");
+    }
+
+    const verification = await this.client.verify.v2
+      .services(this.serviceSid)
+      .verifications.create({ to, channel: "sms", customCode: code });
+
+    return {
+      providerMessageId: verification.sid,
+      status: "sent",
+    };
+  }
+}
+
+module.exports = TwilioVerifyDriver;
@@ -0,0 +1,334 @@
+// services/therapistAccountService.js - Therapist signup, email verification,
+// passwords and the pending -> approved -> suspended lifecycle
+const crypto = require("crypto");
+const Therapist = require("../models/Therapist");
+const EmailToken = require("../models/EmailToken");
+const MailService = require("./mail");
+const TokenService = require("./tokenService");
+const ServiceError = require("./serviceError");
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(
+  process.env.EMAIL_VERIFICATION_TTL_HOURS || "48",
+  10
+);
+const PASSWORD_RESET_TTL_MINUTES = parseInt(
+  process.env.PASSWORD_RESET_TTL_MINUTES || "60",
+  10
+);
+const MIN_PASSWORD_LENGTH = 8;
+
+// Which admin status changes are allowed from each status
+const STATUS_TRANSITIONS = {
+  pending: ["approved", "suspended"],
+  approved: ["suspended"],
+  suspended: ["approved"],
+};
+
+// Statuses that may use the API unless a route says otherwise;
+// suspended therapists are locked out
+const ACTIVE_STATUSES = ["pending", "approved"];
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const assertPassword = (password) => {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ServiceError(
+      `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    );
+  }
+};
+
+// Issue a fresh link token, invalidating any earlier unused one for the same purpose
+const createEmailToken = async (therapistId, purpose, ttlMs) => {
+  await EmailToken.updateMany(
+    { therapistId, purpose, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await EmailToken.create({
+    therapistId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return token;
+};
+
+// Mark a link token used; only one request can win. Returns the token document.
+const consumeEmailToken = async (token, purpose) => {
+  const consumed = token
+    ? await EmailToken.findOneAndUpdate(
+        {
+          tokenHash: hashToken(String(token)),
+          purpose,
+          usedAt: null,
+          expiresAt: { $gt: new Date() },
+        },
+        { usedAt: new Date() }
+      )
+    : null;
+
+  if (!consumed) {
+    throw new ServiceError("Invalid or expired link");
+  }
+  return consumed;
+};
+
+class TherapistAccountService {
+  // Check that a therapist's access token may still be used: the account
+  // exists, is in one of `statuses`, and the token (issued at `issuedAt`,
+  // JWT seconds) is not older than the last password change. Read on every
+  // request and socket handshake so a suspension or password change takes
+  // effect immediately. Returns the status; throws a ServiceError whose
+  // details carry a code for the client otherwise.
+  static async assertAccess(therapistId, issuedAt, statuses = ACTIVE_STATUSES) {
+    const therapist = await Therapist.findById(therapistId).select(
+      "status passwordChangedAt"
+    );
+    if (!therapist) {
+      throw new ServiceError("Therapist account not found", 401);
+    }
+
+    // Tokens from before the change act as expired: the session that made
+    // the change refreshes, every other session's refresh token is revoked
+    if (
+      therapist.passwordChangedAt &&
+      issuedAt < Math.floor(therapist.passwordChangedAt.getTime() / 1000)
+    ) {
+      throw new ServiceError("Token expired", 401, { code: "TOKEN_EXPIRED" });
+    }
+
+    if (!statuses.includes(therapist.status)) {
+      throw new ServiceError(
+        therapist.status === "suspended"
+          ? "Therapist account is suspended"
+          : "Therapist account is not approved",
+        403,
+        { code: `ACCOUNT_${therapist.status.toUpperCase()}` }
+      );
+    }
+
+    return therapist.status;
+  }
+
+  static async register({ name, email, password }) {
+    const normalizedEmail = String(email || "").trim().toLowerCase();
+
+    if (!name || !String(name).trim()) {
+      throw new ServiceError("Name is required");
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+      throw new ServiceError("Invalid email address");
+    }
+    assertPassword(password);
+
+    let therapist;
+    try {
+      therapist = await Therapist.create({
+        name: String(name).trim(),
+        email: normalizedEmail,
+        password,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ServiceError("An account with this email already exists", 409);
+      }
+      throw error;
+    }
+
+    await TherapistAccountService.sendEmailVerification(therapist);
+    return therapist;
+  }
+
+  static async sendEmailVerification(therapist) {
+    const token = await createEmailToken(
+      therapist._id,
+      "email_verification",
+      EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+    );
+    await MailService.sendTherapistEmailVerification(
+      therapist.email,
+      therapist.name,
+      token
+    );
+  }
+
+  // Silent for unknown or already-verified addresses so it can't be used
+  // to discover accounts
+  static async resendEmailVerification(email) {
+    const therapist = await Therapist.findOne({
+      email: String(email || "").trim().toLowerCase(),
+    });
+    if (!therapist || therapist.emailVerified) return;
+
+    await TherapistAccountService.sendEmailVerification(therapist);
+  }
+
+  static async verifyEmail(token) {
+    const consumed = await consumeEmailToken(token, "email_verification");
+
+    const therapist = await Therapist.findByIdAndUpdate(
+      consumed.therapistId,
+      { emailVerified: true, emailVerifiedAt: new Date(), updatedAt: new Date() },
+      { new: true }
+    );
+    if (!therapist) {
+      throw new ServiceError("Invalid or expired link");
+    }
+    return therapist;
+  }
+
+  // Silent for unknown addresses, as above
+  static async requestPasswordReset(email) {
+    const therapist = await Therapist.findOne({
+      email: String(email || "").trim().toLowerCase(),
+    });
+    if (!therapist) return;
+
+    const token = await createEmailToken(
+      therapist._id,
+      "password_reset",
+      PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+    );
+    await MailService.sendTherapistPasswordReset(
+      therapist.email,
+      therapist.name,
+      token,
+      PASSWORD_RESET_TTL_MINUTES
+    );
+  }
+
+  // Resetting signs out every device
+  static async resetPassword(token, newPassword) {
+    assertPassword(newPassword);
+    const consumed = await consumeEmailToken(token, "password_reset");
+
+    const therapist = await Therapist.findById(consumed.therapistId);
+    if (!therapist) {
+      throw new ServiceError("Invalid or expired link");
+    }
+
+    therapist.password = newPassword;
+    // The reset link proves control of the mailbox
+    if (!therapist.emailVerified) {
+      therapist.emailVerified = true;
+      therapist.emailVerifiedAt = new Date();
+    }
+    therapist.updatedAt = new Date();
+    await therapist.save();
+
+    await TokenService.revokeAll(therapist._id, "therapist");
+    return therapist;
+  }
+
+  // Changing the password signs out every other device
+  static async changePassword(therapistId, currentPassword, newPassword, sessionId) {
+    const therapist = await Therapist.findById(therapistId);
+    if (!therapist) {
+      throw new ServiceError("Therapist not found", 404);
+    }
+
+    if (!(await therapist.comparePassword(String(currentPassword || "")))) {
+      throw new ServiceError("Current password is incorrect", 401);
+    }
+    assertPassword(newPassword);
+
+    therapist.password = newPassword;
+    therapist.updatedAt = new Date();
+    await therapist.save();
+
+    await TokenService.revokeAll(therapist._id, "therapist", {
+      exceptFamilyId: sessionId,
+    });
+  }
+
+  static async addCredential(therapistId, fields) {
+    const therapist = await Therapist.findById(therapistId);
+    if (!therapist) {
+      throw new ServiceError("Therapist not found", 404);
+    }
+
+    therapist.credentials.push({ ...fields, uploadedAt: new Date() });
+    therapist.updatedAt = new Date();
+    await therapist.save();
+
+    return therapist.credentials[therapist.credentials.length - 1];
+  }
+
+  static async removeCredential(therapistId, credentialId) {
+    const therapist = await Therapist.findOneAndUpdate(
+      { _id: therapistId, "credentials._id": credentialId },
+      { $pull: { credentials: { _id: credentialId } }, updatedAt: new Date() },
+      { new: true }
+    );
+    if (!therapist) {
+      throw new ServiceError("Credential not found", 404);
+    }
+    return therapist.credentials;
+  }
+
+  // Admin moves an account through its lifecycle. Suspending takes the
+  // therapist offline and signs them out straight away, dropping their
+  // signaling sockets when options.signalingServer is given.
+  static async setStatus(adminId, therapistId, status, reason = null, { signalingServer } = {}) {
+    const therapist = await Therapist.findById(therapistId);
+    if (!therapist) {
+      throw new ServiceError("Therapist not found", 404);
+    }
+
+    if (!(STATUS_TRANSITIONS[therapist.status] || []).includes(status)) {
+      throw new ServiceError(
+        `Cannot change a ${therapist.status} therapist to ${status}`
+      );
+    }
+    if (status === "approved" && !therapist.emailVerified) {
+      throw new ServiceError("Therapist has not verified their email");
+    }
+    if (status === "suspended" && !reason) {
+      throw new ServiceError("A reason is required to suspend a therapist");
+    }
+
+    const updated = await Therapist.findOneAndUpdate(
+      { _id: therapistId, status: therapist.status },
+      {
+        status,
+        statusReason: reason,
+        statusChangedAt: new Date(),
+        statusChangedBy: adminId,
+        updatedAt: new Date(),
+        ...(status === "suspended" && { isAvailable: false }),
+      },
+      { new: true }
+    ).select("-password");
+    if (!updated) {
+      throw new ServiceError("Therapist status changed, please retry", 409);
+    }
+
+    // Sign them out everywhere; access tokens already issued are refused
+    // by the auth middleware and the socket handshake
+    if (status === "suspended") {
+      await TokenService.revokeAll(therapistId, "therapist");
+      signalingServer?.disconnectUser(String(therapistId), "account_suspended");
+    }
+
+    try {
+      await MailService.sendTherapistStatusChanged(
+        updated.email,
+        updated.name,
+        status,
+        reason
+      );
+    } catch (error) {
+      console.error(`Failed to email status change to therapist ${therapistId}:`, error.message);
+    }
+
+    return updated;
+  }
+}
+
+TherapistAccountService.ACTIVE_STATUSES = ACTIVE_STATUSES;
+TherapistAccountService.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+
+module.exports = TherapistAccountService;
@@ -0,0 +1,238 @@
+// services/therapistDirectoryService.js - User-facing therapist search
+const mongoose = require("mongoose");
+const Therapist = require("../models/Therapist");
+const PricingService = require("./pricingService");
+const FeedbackService = require("./feedbackService");
+const ServiceError = require("./serviceError");
+
+const { CALL_TYPES } = PricingService;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+const PUBLIC_FIELDS =
+  "name bio specializations languages yearsOfExperience photoUrl gender qualifications ratingAverage ratingCount ratingDistribution isAvailable createdAt";
+
+const PUBLIC_PROJECTION = Object.fromEntries(
+  PUBLIC_FIELDS.split(" ").map((field) => [field, 1])
+);
+
+// Sort key expression per sort option; every order is descending on the
+// key, with ascending _id as the tie-break, so price_asc negates the price
+const SORTS = {
+  relevance: { $meta: "textScore" },
+  rating: {
+    $add: [
+      { $multiply: [{ $ifNull: ["$ratingAverage", 0] }, 1000] },
+      { $min: [{ $ifNull: ["$ratingCount", 0] }, 999] },
+    ],
+  },
+  price_asc: { $multiply: ["$price", -1] },
+  price_desc: "$price",
+  experience: { $ifNull: ["$yearsOfExperience", 0] },
+  newest: { $toLong: { $ifNull: ["$createdAt", new Date(0)] } },
+};
+
+// Sorts and filters that need the per-therapist price from pricing plans
+const PRICE_SORTS = ["price_asc", "price_desc"];
+
+const toList = (value) =>
+  String(value || "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+
+const toNumber = (value, name) => {
+  if (value === undefined || value === "") return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new ServiceError(`${name} must be a number`);
+  }
+  return number;
+};
+
+const encodeCursor = (key, id) =>
+  Buffer.from(JSON.stringify({ k: key, id })).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const { k, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (typeof k !== "number" || !mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error("bad cursor");
+    }
+    return { key: k, id };
+  } catch (error) {
+    throw new ServiceError("Invalid cursor");
+  }
+};
+
+const toEntry = (therapist, rates) => ({
+  _id: therapist._id,
+  id: therapist._id,
+  name: therapist.name,
+  bio: therapist.bio,
+  specializations: therapist.specializations,
+  languages: therapist.languages,
+  yearsOfExperience: therapist.yearsOfExperience,
+  photoUrl: therapist.photoUrl,
+  gender: therapist.gender,
+  qualifications: therapist.qualifications,
+  rating: FeedbackService.summarize(therapist),
+  isAvailable: therapist.isAvailable,
+  pricing: Object.fromEntries(
+    Object.values(CALL_TYPES).map((callType) => [
+      callType,
+      {
+        costPerMinute: rates[callType].costPerMinute,
+        minimumMinutes: rates[callType].minimumMinutes,
+      },
+    ])
+  ),
+});
+
+class TherapistDirectoryService {
+  // Query params:
+  //   q                 free-text search over name, bio, specializations, qualifications
+  //   specialization    comma-separated, matches any
+  //   language          comma-separated ISO codes, matches any
+  //   gender
+  //   online            "true" (default) / "false" / "all" - the therapist's
+  //                     availability toggle
+  //   minRating, minExperience
+  //   callType          which rate minPrice/maxPrice and price sorts use (default voice)
+  //   minPrice, maxPrice  coins per minute
+  //   sort              relevance | rating | price_asc | price_desc | experience | newest
+  //   limit, cursor     cursor is the nextCursor of the previous page
+  // Returns { therapists }, plus nextCursor and hasMore when the request
+  // pages with limit or cursor.
+  static async search(params = {}) {
+    const callType = params.callType || CALL_TYPES.VOICE;
+    if (!PricingService.isValidCallType(callType)) {
+      throw new ServiceError("Invalid call type");
+    }
+
+    const sort = params.sort || (params.q ? "relevance" : "rating");
+    if (!SORTS[sort] || (sort === "relevance" && !params.q)) {
+      throw new ServiceError("Invalid sort");
+    }
+
+    const paged = params.limit !== undefined || params.cursor !== undefined;
+    const limit = Math.min(
+      Math.max(parseInt(params.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+    const minRating = toNumber(params.minRating, "minRating");
+    const minExperience = toNumber(params.minExperience, "minExperience");
+    const minPrice = toNumber(params.minPrice, "minPrice");
+    const maxPrice = toNumber(params.maxPrice, "maxPrice");
+    const after = params.cursor ? decodeCursor(params.cursor) : null;
+
+    const online = params.online === undefined ? "true" : String(params.online);
+    if (!["true", "false", "all"].includes(online)) {
+      throw new ServiceError("online must be true, false or all");
+    }
+
+    const filter = { status: "approved" };
+    if (params.q) {
+      filter.$text = { $search: String(params.q) };
+    }
+    const specializations = toList(params.specialization);
+    if (specializations.length) {
+      filter.specializations = { $in: specializations };
+    }
+    const languages = toList(params.language);
+    if (languages.length) {
+      filter.languages = { $in: languages };
+    }
+    if (params.gender) {
+      filter.gender = String(params.gender);
+    }
+    if (online !== "all") {
+      filter.isAvailable = online === "true";
+    }
+    if (minRating !== null) {
+      filter.ratingAverage = { $gte: minRating };
+    }
+    if (minExperience !== null) {
+      filter.yearsOfExperience = { $gte: minExperience };
+    }
+
+    // Prices come from pricing plans (which can be scheduled), not the
+    // therapist document, so they are looked up in the pipeline
+    const pipeline = [{ $match: filter }];
+    if (PRICE_SORTS.includes(sort) || minPrice !== null || maxPrice !== null) {
+      pipeline.push(...(await PricingService.priceStages(callType)));
+
+      const price = {};
+      if (minPrice !== null) price.$gte = minPrice;
+      if (maxPrice !== null) price.$lte = maxPrice;
+      if (Object.keys(price).length) {
+        pipeline.push({ $match: { price } });
+      }
+    }
+
+    pipeline.push({ $addFields: { sortKey: SORTS[sort] } });
+    if (after) {
+      pipeline.push({
+        $match: {
+          $or: [
+            { sortKey: { $lt: after.key } },
+            { sortKey: after.key, _id: { $gt: new mongoose.Types.ObjectId(after.id) } },
+          ],
+        },
+      });
+    }
+    pipeline.push({ $sort: { sortKey: -1, _id: 1 } });
+    if (paged) {
+      // One extra row tells whether there is another page
+      pipeline.push({ $limit: limit + 1 });
+    }
+    pipeline.push({ $project: { ...PUBLIC_PROJECTION, sortKey: 1 } });
+
+    const rows = await Therapist.aggregate(pipeline).allowDiskUse(true);
+    const hasMore = paged && rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+
+    const rates = await PricingService.getRatesForTherapists(
+      page.map((therapist) => therapist._id.toString())
+    );
+    const therapists = page.map((therapist) =>
+      toEntry(therapist, rates[therapist._id.toString()])
+    );
+
+    if (!paged) {
+      return { therapists };
+    }
+
+    const last = page[page.length - 1];
+    return {
+      therapists,
+      nextCursor: hasMore ? encodeCursor(Number(last.sortKey), last._id.toString()) : null,
+      hasMore,
+    };
+  }
+
+  // One approved therapist's public profile, or null
+  static async getProfile(therapistId) {
+    if (!mongoose.Types.ObjectId.isValid(therapistId)) {
+      return null;
+    }
+
+    const therapist = await Therapist.findOne({
+      _id: therapistId,
+      status: "approved",
+    })
+      .select(PUBLIC_FIELDS)
+      .lean();
+    if (!therapist) {
+      return null;
+    }
+
+    const rates = await PricingService.getRatesForTherapists([therapistId]);
+    return toEntry(therapist, rates[therapistId]);
+  }
+}
+
+TherapistDirectoryService.SORT_OPTIONS = Object.keys(SORTS);
+
+module.exports = TherapistDirectoryService;
@@ -0,0 +1,197 @@
+// services/tokenService.js - Access/refresh token issuing, rotation and revocation
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const RefreshToken = require("../models/RefreshToken");
+const ServiceError = require("./serviceError");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(
+  process.env.REFRESH_TOKEN_TTL_DAYS || "30",
+  10
+);
+
+// Known placeholder values that must never sign tokens outside development
+const INSECURE_SECRETS = ["your-secret-key", "secret", "changeme"];
+const DEVELOPMENT_SECRET = "dev-only-insecure-jwt-secret";
+
+// Unset NODE_ENV counts as development, as elsewhere in this app
+const isDevelopment = () =>
+  ["development", "test"].includes(process.env.NODE_ENV || "development");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+class TokenService {
+  // Called at startup: refuse to run with a missing or placeholder secret
+  static assertConfigured() {
+    const secret = process.env.JWT_SECRET;
+    const isWeak = !secret || INSECURE_SECRETS.includes(secret) || secret.length < 32;
+
+    if (isWeak && !isDevelopment()) {
+      throw new Error(
+        "JWT_SECRET must be set to a random value of at least 32 characters outside development"
+      );
+    }
+
+    if (isWeak) {
+      console.warn("JWT_SECRET is missing or weak - acceptable in development only");
+    }
+  }
+
+  static getJwtSecret() {
+    const secret = process.env.JWT_SECRET;
+    if (secret && !INSECURE_SECRETS.includes(secret)) {
+      return secret;
+    }
+    if (isDevelopment()) {
+      return DEVELOPMENT_SECRET;
+    }
+    throw new Error("JWT_SECRET is not configured");
+  }
+
+  // Access tokens are short-lived and not checked against the database, so
+  // revocation takes effect once the current access token expires.
+  static signAccessToken(id, role, sessionId) {
+    return jwt.sign({ id, role, sid: sessionId }, TokenService.getJwtSecret(), {
+      expiresIn: ACCESS_TOKEN_TTL,
+    });
+  }
+
+  static verifyAccessToken(token) {
+    return jwt.verify(token, TokenService.getJwtSecret());
+  }
+
+  // Start a new session for a login. A previous session on the same device
+  // is revoked so each device holds one refresh token family.
+  static async issueTokens(id, role, { deviceId = null, userAgent = null } = {}) {
+    if (deviceId) {
+      await RefreshToken.updateMany(
+        { ownerId: id, role, deviceId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: "new_login" }
+      );
+    }
+
+    return TokenService._issue(id, role, {
+      familyId: crypto.randomUUID(),
+      deviceId,
+      userAgent,
+    });
+  }
+
+  static async _issue(id, role, { familyId, deviceId, userAgent }) {
+    const refreshToken = crypto.randomBytes(48).toString("hex");
+    const expiresAt = new Date(
+      Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+    );
+
+    await RefreshToken.create({
+      ownerId: id,
+      role,
+      tokenHash: hashToken(refreshToken),
+      familyId,
+      deviceId,
+      userAgent,
+      expiresAt,
+    });
+
+    return {
+      token: TokenService.signAccessToken(id, role, familyId),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      refreshTokenExpiresAt: expiresAt,
+    };
+  }
+
+  // Exchange a refresh token for a new pair. Each refresh token works once;
+  // presenting one that was already rotated means it leaked, so the whole
+  // family is revoked and the device has to log in again.
+  static async rotate(refreshToken, { userAgent = null } = {}) {
+    if (!refreshToken) {
+      throw new ServiceError("Invalid refresh token", 401);
+    }
+
+    const stored = await RefreshToken.findOne({
+      tokenHash: hashToken(refreshToken),
+    });
+    if (!stored) {
+      throw new ServiceError("Invalid refresh token", 401);
+    }
+
+    if (stored.revokedAt) {
+      if (stored.revokedReason === "rotated") {
+        await TokenService.revokeFamily(stored.familyId, "reuse_detected");
+        console.warn(
+          `Refresh token reuse detected for ${stored.role} ${stored.ownerId}, family ${stored.familyId} revoked`
+        );
+      }
+      throw new ServiceError("Refresh token has been revoked", 401);
+    }
+
+    if (stored.expiresAt <= new Date()) {
+      throw new ServiceError("Refresh token expired", 401);
+    }
+
+    // Claim the token atomically so two concurrent refreshes can't both win
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "rotated", lastUsedAt: new Date() }
+    );
+    if (!claimed) {
+      await TokenService.revokeFamily(stored.familyId, "reuse_detected");
+      throw new ServiceError("Refresh token has been revoked", 401);
+    }
+
+    return {
+      ownerId: stored.ownerId,
+      role: stored.role,
+      tokens: await TokenService._issue(stored.ownerId, stored.role, {
+        familyId: stored.familyId,
+        deviceId: stored.deviceId,
+        userAgent: userAgent || stored.userAgent,
+      }),
+    };
+  }
+
+  static revokeFamily(familyId, reason) {
+    return RefreshToken.updateMany(
+      { familyId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+  }
+
+  // Log out the device holding this refresh token. Only the account that
+  // owns the token may revoke it.
+  static async revokeToken(refreshToken, { ownerId, role }) {
+    if (!refreshToken) return false;
+
+    const stored = await RefreshToken.findOne({
+      tokenHash: hashToken(refreshToken),
+    });
+    if (!stored) return false;
+
+    if (stored.ownerId.toString() !== String(ownerId) || stored.role !== role) {
+      throw new ServiceError("Refresh token does not belong to this account", 403);
+    }
+
+    await TokenService.revokeFamily(stored.familyId, "logout");
+    return true;
+  }
+
+  // Log out every device for an account, optionally keeping one session
+  static async revokeAll(ownerId, role, { exceptFamilyId = null } = {}) {
+    const result = await RefreshToken.updateMany(
+      {
+        ownerId,
+        role,
+        revokedAt: null,
+        ...(exceptFamilyId && { familyId: { $ne: exceptFamilyId } }),
+      },
+      { revokedAt: new Date(), revokedReason: "logout_all" }
+    );
+    return result.modifiedCount;
+  }
+}
+
+TokenService.ACCESS_TOKEN_TTL = ACCESS_TOKEN_TTL;
+
+module.exports = TokenService;
@@ -0,0 +1,107 @@
+// services/walletService.js - Coin pack purchases and payment webhooks
+const mongoose = require("mongoose");
+const CoinOrder = require("../models/CoinOrder");
+const LedgerService = require("./ledgerService");
+const { getPaymentProvider, getCoinPack } = require("./payments");
+
+class WalletService {
+  // Create a pending order for a coin pack and register it with the provider
+  static async createPurchase(userId, packId) {
+    const pack = getCoinPack(packId);
+    if (!pack) {
+      throw new Error(`Unknown coin pack: ${packId}`);
+    }
+
+    const provider = getPaymentProvider();
+    const order = await CoinOrder.create({
+      userId,
+      packId: pack.id,
+      coins: pack.coins,
+      amount: pack.amount,
+      currency: pack.currency,
+      provider: provider.name,
+    });
+
+    try {
+      const providerOrder = await provider.createOrder(order);
+      order.providerOrderId = providerOrder.providerOrderId;
+      await order.save();
+
+      return { order, checkout: providerOrder };
+    } catch (error) {
+      order.status = "failed";
+      order.failureReason = `Provider error: ${error.message}`;
+      await order.save();
+      throw error;
+    }
+  }
+
+  // Apply a signature-verified webhook event. Coins are credited at most once
+  // per provider payment ID; repeat deliveries return duplicate: true.
+  static async handleWebhookEvent(providerName, event) {
+    const session = await mongoose.startSession();
+
+    try {
+      let result;
+
+      await session.withTransaction(async () => {
+        const order = await CoinOrder.findOne({
+          provider: providerName,
+          providerOrderId: event.providerOrderId,
+        }).session(session);
+
+        if (!order) {
+          result = { order: null, duplicate: false };
+          return;
+        }
+
+        if (order.status === "paid") {
+          result = { order, duplicate: true };
+          return;
+        }
+
+        if (event.status === "paid") {
+          if (!event.providerPaymentId) {
+            throw new Error("Paid event without provider payment ID");
+          }
+
+          const { transaction, duplicate } = await LedgerService.record(
+            {
+              ownerType: "User",
+              ownerId: order.userId,
+              type: "purchase",
+              amount: order.coins,
+              idempotencyKey: `payment:${providerName}:${event.providerPaymentId}`,
+              description: `Coin pack: ${order.packId}`,
+              metadata: { orderId: order._id },
+            },
+            session
+          );
+
+          order.status = "paid";
+          order.providerPaymentId = event.providerPaymentId;
+          order.paidAt = new Date();
+          order.failureReason = null;
+          order.coinTransactionId = transaction._id;
+          await order.save({ session });
+
+          result = { order, duplicate };
+        } else if (event.status === "failed") {
+          order.status = "failed";
+          order.failureReason = event.failureReason || "Payment failed";
+          await order.save({ session });
+          result = { order, duplicate: false };
+        } else {
+          // Still pending on the provider side - nothing to change yet
+          result = { order, duplicate: false };
+        }
+      });
+
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+}
+
+module.exports = WalletService;